@@ -1,4 +1,7 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { POLL_TYPES, QUESTION_TYPES, QUESTIONNAIRE_TYPES, CONDITION_OPERATORS } = require('../utils/ballots');
+const { DECISION_RULES, TIE_BREAK_STRATEGIES } = require('../utils/tally');
+const { PAIRWISE_METHODS } = require('../utils/condorcet');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -41,6 +44,121 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+// Eligibility and electorate rules shared by polls and elections
+const voterRollRules = [
+  body('eligibility.roles')
+    .optional()
+    .isArray()
+    .withMessage('Eligible roles must be a list'),
+  body('eligibility.roles.*')
+    .isIn(['voter', 'admin'])
+    .withMessage('Invalid eligible role'),
+  body('eligibility.groups')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Eligible groups must be a list of at most 50 groups'),
+  body('eligibility.groups.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each group must be between 1 and 50 characters'),
+  body('eligibility.emailDomains')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Eligible email domains must be a list of at most 50 domains'),
+  body('eligibility.emailDomains.*')
+    .isFQDN()
+    .withMessage('Each email domain must be a valid domain name'),
+  body('eligibility.minAccountAgeDays')
+    .optional()
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('Minimum account age must be between 0 and 3650 days'),
+  body('eligibility.requireEmailVerified')
+    .optional()
+    .isBoolean()
+    .withMessage('requireEmailVerified must be a boolean'),
+  body('electorate.scope')
+    .optional()
+    .isIn(['all', 'group', 'invited'])
+    .withMessage('Electorate must be all, group or invited')
+    .custom((scope, { req }) => {
+      const groups = req.body.electorate.groups;
+      if (scope === 'group' && (!Array.isArray(groups) || groups.length === 0)) {
+        throw new Error('A group electorate requires at least one group');
+      }
+      return true;
+    }),
+  body('electorate.groups')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Electorate groups must be a list of at most 50 groups'),
+  body('electorate.groups.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each group must be between 1 and 50 characters')
+];
+
+// Eligibility, electorate, weighting, decision and tie-break rules shared by poll creation and update
+const votingRules = [
+  ...voterRollRules,
+  body('weighting.mode')
+    .optional()
+    .isIn(['none', 'user', 'table'])
+    .withMessage('Weighting must be none, user or table'),
+  body('weighting.defaultWeight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Default weight must be a non-negative number'),
+  body('decision.rule')
+    .optional()
+    .isIn(DECISION_RULES)
+    .withMessage('Invalid decision rule'),
+  body('decision.quorumType')
+    .optional()
+    .isIn(['voters', 'turnout'])
+    .withMessage('Quorum type must be voters or turnout'),
+  body('decision.quorum')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Quorum must be a non-negative number')
+    .custom((quorum, { req }) => {
+      if (req.body.decision.quorumType === 'turnout' && quorum > 100) {
+        throw new Error('A turnout quorum cannot exceed 100 percent');
+      }
+      return true;
+    }),
+  body('decision.runoff.auto')
+    .optional()
+    .isBoolean()
+    .withMessage('Automatic runoff must be a boolean'),
+  body('decision.runoff.topN')
+    .optional()
+    .isInt({ min: 2, max: 10 })
+    .withMessage('Runoffs must be between 2 and 10 options'),
+  body('decision.runoff.threshold')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Runoff threshold must be between 0 and 100 percent'),
+  body('tieBreak.strategy')
+    .optional()
+    .isIn(TIE_BREAK_STRATEGIES)
+    .withMessage('Invalid tie-break strategy'),
+  // Tie-break resolutions and runoff links are only ever set by the server
+  body('tieBreak.resolution')
+    .not()
+    .exists()
+    .withMessage('Tie-break resolutions cannot be set directly'),
+  body(['runoffOf', 'runoffPoll'])
+    .not()
+    .exists()
+    .withMessage('Runoff links cannot be set directly'),
+  body('election')
+    .not()
+    .exists()
+    .withMessage('Polls join elections through the election routes')
+];
+
 // Poll validation rules
 const validatePollCreation = [
   body('title')
@@ -52,8 +170,48 @@ const validatePollCreation = [
     .isLength({ min: 10, max: 500 })
     .withMessage('Description must be between 10 and 500 characters'),
   body('options')
+    .if(body('pollType').not().isIn([...QUESTIONNAIRE_TYPES, 'open_text']))
     .isArray({ min: 2, max: 10 })
     .withMessage('Poll must have between 2 and 10 options'),
+  body('questions')
+    .if(body('pollType').isIn(QUESTIONNAIRE_TYPES))
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Surveys and quizzes must have between 1 and 50 questions'),
+  body('questions.*.text')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each question must be between 1 and 200 characters'),
+  body('questions.*.questionType')
+    .optional()
+    .isIn(QUESTION_TYPES)
+    .withMessage('Invalid question type'),
+  body('questions.*.options')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Each question must have between 1 and 10 options'),
+  body('questions.*.options.*.text')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each option must be between 1 and 200 characters'),
+  body('questions.*.options.*.isCorrect')
+    .optional()
+    .isBoolean()
+    .withMessage('isCorrect must be true or false'),
+  body('questions.*.points')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Question points must be between 0 and 100'),
+  body('questions.*.displayConditions.*.questionIndex')
+    .isInt({ min: 0 })
+    .withMessage('Display conditions must reference a question index'),
+  body('questions.*.displayConditions.*.operator')
+    .optional()
+    .isIn(CONDITION_OPERATORS)
+    .withMessage('Invalid display condition operator'),
+  body('questions.*.conditionLogic')
+    .optional()
+    .isIn(['all', 'any'])
+    .withMessage('Condition logic must be all or any'),
   body('options.*.text')
     .trim()
     .isLength({ min: 1, max: 200 })
@@ -74,6 +232,69 @@ const validatePollCreation = [
     .optional()
     .isIn(['general', 'political', 'entertainment', 'sports', 'technology', 'education', 'business', 'other'])
     .withMessage('Invalid category'),
+  body('pollType')
+    .optional()
+    .isIn(POLL_TYPES)
+    .withMessage('Invalid poll type'),
+  body('settings.minSelections')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Minimum selections must be between 1 and 10'),
+  body('settings.maxSelections')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum selections must be between 1 and 10'),
+  body('settings.ratingScale.min')
+    .optional()
+    .isInt({ min: 0, max: 9 })
+    .withMessage('Rating scale minimum must be between 0 and 9'),
+  body('settings.ratingScale.max')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Rating scale maximum must be between 1 and 10'),
+  body('settings.seats')
+    .optional()
+    .isInt({ min: 1, max: 9 })
+    .withMessage('Seats must be between 1 and 9')
+    .custom((seats, { req }) => {
+      if (req.body.pollType === 'stv' && Array.isArray(req.body.options) && seats >= req.body.options.length) {
+        throw new Error('An STV poll needs more options than seats');
+      }
+      return true;
+    }),
+  body('settings.creditBudget')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Credit budget must be between 1 and 10000'),
+  body('settings.pointsBudget')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Points budget must be between 1 and 10000'),
+  body('inviteOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('inviteOnly must be a boolean'),
+  body('requireAuth')
+    .optional()
+    .isBoolean()
+    .withMessage('requireAuth must be a boolean'),
+  body('settings.maxGuestVotesPerIp')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Guest votes per IP must be between 0 and 1000'),
+  body('settings.allowVoteChange')
+    .optional()
+    .isBoolean()
+    .withMessage('allowVoteChange must be a boolean'),
+  body('settings.moderateResponses')
+    .optional()
+    .isBoolean()
+    .withMessage('moderateResponses must be a boolean'),
+  body('settings.allowDelegation')
+    .optional()
+    .isBoolean()
+    .withMessage('allowDelegation must be a boolean'),
+  ...votingRules,
   handleValidationErrors
 ];
 
@@ -96,20 +317,282 @@ const validatePollUpdate = [
     .optional()
     .isIn(['draft', 'active', 'inactive', 'completed', 'cancelled'])
     .withMessage('Invalid status'),
+  body('pollType')
+    .optional()
+    .isIn(POLL_TYPES)
+    .withMessage('Invalid poll type'),
+  ...votingRules,
   handleValidationErrors
 ];
 
-// Vote validation rules
-const validateVote = [
-  body('optionIndex')
+// Election validation rules
+const electionRules = [
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean'),
+  // Invitation rolls belong to a single poll, elections use account electorates
+  body('electorate.scope')
+    .optional()
+    .isIn(['all', 'group'])
+    .withMessage('Election electorate must be all or group'),
+  ...voterRollRules
+];
+
+const validateElectionCreation = [
+  body('title')
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Title must be between 5 and 100 characters'),
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Description must be between 10 and 500 characters'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((endDate, { req }) => {
+      if (new Date(endDate) <= new Date(req.body.startDate)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    }),
+  ...electionRules,
+  handleValidationErrors
+];
+
+const validateElectionUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Title must be between 5 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Description must be between 10 and 500 characters'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  ...electionRules,
+  handleValidationErrors
+];
+
+// Election race validation
+const validateElectionRace = [
+  body('pollId')
+    .isMongoId()
+    .withMessage('Poll must be a valid poll ID'),
+  handleValidationErrors
+];
+
+// Object holding a validated field, e.g. the second ballot for 'ballots[1].optionIndex'
+const parentOf = (root, path) => path.split(/[.[\]]+/).filter(Boolean).slice(0, -1)
+  .reduce((value, key) => (value === null || value === undefined ? value : value[key]), root);
+
+// Ballot field rules shared by single votes and election ballots;
+// prefix is where the ballot sits in the body ('' for a single vote)
+const ballotRules = (prefix = '') => [
+  body(`${prefix}optionIndex`)
+    .if((value, { req, path }) => {
+      const ballot = parentOf(req.body, path);
+      return !!ballot && ['ranking', 'selections', 'ratings', 'allocations', 'distribution', 'answers', 'text']
+        .every(field => ballot[field] === undefined);
+    })
     .isInt({ min: 0 })
     .withMessage('Option index must be a non-negative integer'),
+  body(`${prefix}ranking`)
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Ranking must list between 1 and 10 options'),
+  body(`${prefix}ranking.*`)
+    .isInt({ min: 0 })
+    .withMessage('Ranking entries must be non-negative integers'),
+  body(`${prefix}selections`)
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Selections must list between 1 and 10 options'),
+  body(`${prefix}selections.*`)
+    .isInt({ min: 0 })
+    .withMessage('Selections must be non-negative integers'),
+  body(`${prefix}ratings`)
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Ratings must cover between 1 and 10 options'),
+  body(`${prefix}ratings.*.optionIndex`)
+    .isInt({ min: 0 })
+    .withMessage('Each rating needs a non-negative option index'),
+  body(`${prefix}ratings.*.value`)
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Each rating value must be an integer between 0 and 10'),
+  body(`${prefix}allocations`)
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Allocations must cover between 1 and 10 options'),
+  body(`${prefix}allocations.*.optionIndex`)
+    .isInt({ min: 0 })
+    .withMessage('Each allocation needs a non-negative option index'),
+  body(`${prefix}allocations.*.votes`)
+    .isInt({ min: 1 })
+    .withMessage('Each allocation must be a whole number of votes of at least 1'),
+  body(`${prefix}distribution`)
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Distribution must cover between 1 and 10 options'),
+  body(`${prefix}distribution.*.optionIndex`)
+    .isInt({ min: 0 })
+    .withMessage('Each distribution entry needs a non-negative option index'),
+  body(`${prefix}distribution.*.points`)
+    .isInt({ min: 0 })
+    .withMessage('Points must be whole numbers of at least 0'),
+  body(`${prefix}text`)
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Text answers cannot exceed 500 characters'),
+  body(`${prefix}answers`)
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Answers must cover between 1 and 50 questions'),
+  body(`${prefix}answers.*.questionIndex`)
+    .isInt({ min: 0 })
+    .withMessage('Each answer needs a non-negative question index'),
+  body(`${prefix}answers.*.text`)
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Text answers cannot exceed 500 characters')
+];
+
+// Election ballot validation (each ballot is also checked against its race)
+const validateElectionBallots = [
+  body('ballots')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Ballots must cover between 1 and 20 races'),
+  body('ballots.*')
+    .isObject()
+    .withMessage('Each ballot must be an object'),
+  body('ballots.*.pollId')
+    .isMongoId()
+    .withMessage('Each ballot needs a valid poll ID'),
+  ...ballotRules('ballots.*.'),
+  handleValidationErrors
+];
+
+// User group validation
+const validateUserGroups = [
+  body('groups')
+    .isArray({ max: 50 })
+    .withMessage('Groups must be a list of at most 50 groups'),
+  body('groups.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each group must be between 1 and 50 characters'),
+  handleValidationErrors
+];
+
+// Vote weight validation
+const validateUserVoteWeight = [
+  body('voteWeight')
+    .isFloat({ min: 0 })
+    .withMessage('Vote weight must be a non-negative number'),
+  handleValidationErrors
+];
+
+// Delegation validation
+const validateDelegation = [
+  body('delegateId')
+    .isMongoId()
+    .withMessage('Delegate must be a valid user ID'),
+  body('category')
+    .optional({ values: 'null' })
+    .isIn(['general', 'political', 'entertainment', 'sports', 'technology', 'education', 'business', 'other'])
+    .withMessage('Invalid category'),
+  handleValidationErrors
+];
+
+// Runoff validation
+const validateRunoff = [
+  body('topN')
+    .optional()
+    .isInt({ min: 2, max: 10 })
+    .withMessage('Runoffs must be between 2 and 10 options'),
+  handleValidationErrors
+];
+
+// Vote validation rules
+const validateVote = [
+  ...ballotRules(),
+  body('ballotToken')
+    .optional()
+    .isString()
+    .withMessage('Ballot token must be a string'),
   param('pollId')
     .isMongoId()
     .withMessage('Invalid poll ID'),
   handleValidationErrors
 ];
 
+// Invitation validation
+const validateInvitations = [
+  body('emails')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Emails must be a list of at most 1000 addresses'),
+  body('emails.*')
+    .isEmail()
+    .withMessage('Each email must be a valid email address'),
+  body('userIds')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('User IDs must be a list of at most 1000 IDs'),
+  body('userIds.*')
+    .isMongoId()
+    .withMessage('Each user ID must be a valid ID'),
+  handleValidationErrors
+];
+
+// Voter weight table validation
+const validateVoterWeights = [
+  body('entries')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('Entries must be a list of between 1 and 1000 voters'),
+  body('entries.*')
+    .custom(entry => {
+      if (!entry || (!entry.email && !entry.userId)) {
+        throw new Error('Each entry needs an email or user ID');
+      }
+      return true;
+    }),
+  body('entries.*.email')
+    .optional()
+    .isEmail()
+    .withMessage('Each email must be a valid email address'),
+  body('entries.*.userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Each user ID must be a valid ID'),
+  body('entries.*.weight')
+    .isFloat({ min: 0 })
+    .withMessage('Each weight must be a non-negative number'),
+  body('entries.*.label')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Labels cannot exceed 50 characters'),
+  handleValidationErrors
+];
+
 // Parameter validation
 const validateMongoId = (paramName) => [
   param(paramName)
@@ -131,6 +614,15 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+// Results query validation
+const validateResultsQuery = [
+  query('method')
+    .optional({ checkFalsy: true })
+    .isIn(PAIRWISE_METHODS)
+    .withMessage('Results method must be condorcet, schulze or ranked_pairs'),
+  handleValidationErrors
+];
+
 const validatePollFilters = [
   query('status')
     .optional({ checkFalsy: true })
@@ -161,8 +653,19 @@ module.exports = {
   validatePollCreation,
   validatePollUpdate,
   validateVote,
+  validateInvitations,
+  validateUserGroups,
+  validateUserVoteWeight,
+  validateVoterWeights,
+  validateRunoff,
+  validateDelegation,
+  validateElectionCreation,
+  validateElectionUpdate,
+  validateElectionRace,
+  validateElectionBallots,
   validateMongoId,
   validatePagination,
   validatePollFilters,
+  validateResultsQuery,
   handleValidationErrors
 };
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Poll = require('./models/Poll');
+const Vote = require('./models/Vote');
+require('dotenv').config();
+
+// One-off migration for polls created before the votes collection became the
+// source of truth for who voted:
+//   1. numbers existing ballots per user and poll (Vote.ballotNumber)
+//   2. builds the unique ballot index
+//   3. recomputes totalVotes and uniqueVoters from the votes collection
+//   4. drops the per-voter arrays (votedUsers, options.voters) from polls
+// Safe to run more than once.
+async function migrateVoterData() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    // Number ballots in the order they were cast
+    const unnumbered = Vote.aggregate([
+      { $match: { ballotNumber: { $exists: false } } },
+      { $sort: { createdAt: 1 } },
+      { $group: { _id: { pollId: '$pollId', userId: '$userId' }, votes: { $push: '$_id' } } }
+    ]).cursor();
+
+    let numberedVotes = 0;
+    for await (const group of unnumbered) {
+      const existing = await Vote.findOne({ pollId: group._id.pollId, userId: group._id.userId, ballotNumber: { $exists: true } })
+        .sort({ ballotNumber: -1 })
+        .select('ballotNumber')
+        .lean();
+      const offset = existing ? existing.ballotNumber : 0;
+
+      await Vote.bulkWrite(group.votes.map((voteId, index) => ({
+        updateOne: {
+          filter: { _id: voteId },
+          update: { $set: { ballotNumber: offset + index + 1 } }
+        }
+      })));
+      numberedVotes += group.votes.length;
+    }
+    console.log(`🔢 Numbered ${numberedVotes} existing ballots`);
+
+    await Vote.syncIndexes();
+    console.log('📇 Vote indexes synced');
+
+    // Rebuild counters from the votes collection and drop the per-voter arrays
+    const polls = Poll.collection.find({}, { projection: { _id: 1 } });
+    let migratedPolls = 0;
+    for await (const poll of polls) {
+      const [totalVotes, voterIds] = await Promise.all([
+        Vote.countDocuments({ pollId: poll._id }),
+        Vote.distinct('userId', { pollId: poll._id })
+      ]);
+
+      // Raw collection updates: the removed fields are no longer in the schema.
+      // Array paths are unset separately since $[] fails on missing arrays.
+      await Poll.collection.updateOne(
+        { _id: poll._id },
+        { $set: { totalVotes, uniqueVoters: voterIds.length }, $unset: { votedUsers: '' } }
+      );
+      await Poll.collection.updateOne(
+        { _id: poll._id, 'options.voters': { $exists: true } },
+        { $unset: { 'options.$[].voters': '' } }
+      );
+      await Poll.collection.updateOne(
+        { _id: poll._id, 'questions.options.voters': { $exists: true } },
+        { $unset: { 'questions.$[].options.$[].voters': '' } }
+      );
+      migratedPolls += 1;
+    }
+    console.log(`🗳️  Migrated ${migratedPolls} polls`);
+
+    console.log('\n✅ Voter data migration complete');
+  } catch (error) {
+    console.error('Error migrating voter data:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed.');
+  }
+}
+
+migrateVoterData();
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Append-only record of decisions taken on a poll after voting, such as how a
+// tie was broken. actor is empty when the server acted on its own schedule.
+const auditLogSchema = new mongoose.Schema({
+  pollId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ pollId: 1, createdAt: 1 });
+
+// Static method to append an entry to a poll's audit trail
+auditLogSchema.statics.record = async function(pollId, action, { actor, details } = {}, { session } = {}) {
+  const [entry] = await this.create([{ pollId, action, actor, details }], { session });
+  return entry;
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Same categories as Poll.category
+const CATEGORIES = ['general', 'political', 'entertainment', 'sports', 'technology', 'education', 'business', 'other'];
+
+// A standing instruction to let another user vote on the delegator's behalf,
+// either for one poll category or (category null) for every poll. A
+// category delegation takes precedence over the delegator's catch-all one.
+const delegationSchema = new mongoose.Schema({
+  delegator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: [...CATEGORIES, null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Nobody can delegate to themselves
+delegationSchema.pre('validate', function(next) {
+  if (this.delegator && this.delegate && this.delegator.equals(this.delegate)) {
+    return next(new Error('You cannot delegate your vote to yourself'));
+  }
+  next();
+});
+
+delegationSchema.index({ delegator: 1, category: 1 }, { unique: true });
+delegationSchema.index({ delegate: 1, category: 1 });
+
+// Static method to find whom a user's vote goes to for a poll category
+delegationSchema.statics.findEffective = async function(delegator, category) {
+  const delegations = await this.find({ delegator, category: { $in: [category, null] } }).lean();
+  return delegations.find(delegation => delegation.category === category) ||
+    delegations.find(delegation => delegation.category === null) ||
+    null;
+};
+
+// Static method to check whether delegator -> delegate for a category would
+// close a loop. A catch-all delegation is checked for every category the
+// delegator has no category delegation for.
+delegationSchema.statics.wouldCreateCycle = async function(delegator, delegate, category) {
+  let categories = [category];
+  if (category === null) {
+    const specific = await this.distinct('category', { delegator, category: { $ne: null } });
+    categories = CATEGORIES.filter(candidate => !specific.includes(candidate));
+  }
+
+  for (const candidate of categories) {
+    const visited = new Set();
+    let current = delegate;
+
+    while (current) {
+      if (current.equals(delegator)) return true;
+      // An existing loop further along the chain is not this delegation's doing
+      if (visited.has(current.toString())) break;
+      visited.add(current.toString());
+
+      const next = await this.findEffective(current, candidate);
+      current = next ? next.delegate : null;
+    }
+  }
+
+  return false;
+};
+
+module.exports = mongoose.model('Delegation', delegationSchema);
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const { checkEligibility } = require('../utils/eligibility');
+
+// Most races one election can hold
+const MAX_RACES = 20;
+
+// Several polls (races) voted on together: one voting window, one voter roll
+// and one submission for every race. The window and roll are copied onto each
+// race (see applyTo), so the usual poll checks enforce them when votes come in.
+const electionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Election title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Election description is required'],
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+    default: Date.now
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(endDate) {
+        return endDate > this.startDate;
+      },
+      message: 'End date must be after start date'
+    }
+  },
+  isPublic: {
+    type: Boolean,
+    default: true
+  },
+  // Same shape as Poll.eligibility
+  eligibility: {
+    roles: [{
+      type: String,
+      enum: ['voter', 'admin']
+    }],
+    groups: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    emailDomains: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    minAccountAgeDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    requireEmailVerified: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Same as Poll.electorate, without invitation rolls (those belong to a single poll)
+  electorate: {
+    scope: {
+      type: String,
+      enum: ['all', 'group'],
+      default: 'all'
+    },
+    groups: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
+  },
+  // Races in ballot order
+  races: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Poll'
+    }],
+    validate: {
+      validator: races => races.length <= MAX_RACES,
+      message: `An election cannot have more than ${MAX_RACES} races`
+    }
+  }
+}, {
+  timestamps: true
+});
+
+electionSchema.index({ isPublic: 1, startDate: -1 });
+electionSchema.index({ createdBy: 1 });
+
+// Virtual for checking if the election is open for voting
+electionSchema.virtual('isActive').get(function() {
+  const now = new Date();
+  return this.startDate <= now && this.endDate > now;
+});
+
+// Virtual for checking if the election has ended
+electionSchema.virtual('hasEnded').get(function() {
+  return new Date() > this.endDate;
+});
+
+// A group electorate needs at least one group to draw from
+electionSchema.pre('validate', function(next) {
+  if (this.electorate && this.electorate.scope === 'group' && !this.electorate.groups.length) {
+    return next(new Error('A group electorate requires at least one group'));
+  }
+  next();
+});
+
+// Method to give a race this election's voting window and voter roll.
+// Draft and active races get the status the window calls for.
+electionSchema.methods.applyTo = function(race) {
+  race.set({
+    election: this._id,
+    startDate: this.startDate,
+    endDate: this.endDate,
+    eligibility: this.eligibility.toObject(),
+    electorate: this.electorate.toObject(),
+    requireAuth: true,
+    inviteOnly: false
+  });
+
+  return race.syncStatusToWindow();
+};
+
+// Method to check if a poll may join this election as a race
+electionSchema.methods.canAddRace = function(poll) {
+  if (this.races.length >= MAX_RACES) {
+    return { allowed: false, reason: `An election cannot have more than ${MAX_RACES} races` };
+  }
+  if (poll.election) {
+    return { allowed: false, reason: 'Poll is already a race in an election' };
+  }
+  if (poll.totalVotes > 0) {
+    return { allowed: false, reason: 'Polls that already have votes cannot join an election' };
+  }
+  if (poll.inviteOnly) {
+    return { allowed: false, reason: 'Invite-only polls cannot be election races' };
+  }
+  return { allowed: true };
+};
+
+// Method to check if a viewer may see this election. Private elections are
+// shown to admins, their creator and the voters their eligibility rules admit.
+electionSchema.methods.canView = function(user) {
+  if (this.isPublic) return true;
+  if (!user) return false;
+
+  const creatorId = (this.createdBy._id || this.createdBy).toString();
+  if (user.role === 'admin' || creatorId === user._id.toString()) return true;
+
+  return checkEligibility(this.eligibility, user, this.startDate).eligible;
+};
+
+// Method to load the races in ballot order
+electionSchema.methods.getRaces = async function() {
+  const Poll = mongoose.model('Poll');
+  const races = await Poll.find({ _id: { $in: this.races }, election: this._id });
+  const order = this.races.map(raceId => raceId.toString());
+  return races.sort((a, b) => order.indexOf(a._id.toString()) - order.indexOf(b._id.toString()));
+};
+
+module.exports = mongoose.model('Election', electionSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Entry on an invite-only poll's voter roll. The ballot token itself is only
+// returned once when it is generated; the database keeps its SHA-256 hash.
+const invitationSchema = new mongoose.Schema({
+  pollId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'used', 'revoked'],
+    default: 'pending'
+  },
+  usedAt: {
+    type: Date
+  },
+  voteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vote'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Every invitation names the voter by email or user account
+invitationSchema.pre('validate', function(next) {
+  if (!this.email && !this.userId) {
+    return next(new Error('Invitation requires an email or user ID'));
+  }
+  next();
+});
+
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ pollId: 1, status: 1 });
+invitationSchema.index({ pollId: 1, email: 1 }, { unique: true, partialFilterExpression: { email: { $exists: true } } });
+invitationSchema.index({ pollId: 1, userId: 1 }, { unique: true, partialFilterExpression: { userId: { $exists: true } } });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Static method to create a new ballot token and its stored hash
+invitationSchema.statics.generateToken = function() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+// Static method to find the invitation a raw ballot token belongs to
+invitationSchema.statics.findByToken = function(pollId, token) {
+  return this.findOne({ pollId, tokenHash: hashToken(token) });
+};
+
+// Static method to atomically mark a pending token as used by a vote
+// Resolves to null when the token is unknown, revoked or already used
+invitationSchema.statics.redeem = function(pollId, token, voteId, { session } = {}) {
+  return this.findOneAndUpdate(
+    { pollId, tokenHash: hashToken(token), status: 'pending' },
+    { $set: { status: 'used', usedAt: new Date(), voteId } },
+    { new: true, session }
+  );
+};
+
+// Static method to check if a signed-in user is on a poll's voter roll
+invitationSchema.statics.isInvited = async function(pollId, user) {
+  return !!(await this.exists({
+    pollId,
+    status: { $ne: 'revoked' },
+    $or: [{ userId: user._id }, { email: user.email }]
+  }));
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
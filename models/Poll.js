@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const {
+  QUESTION_TYPES,
+  QUIZ_QUESTION_TYPES,
+  POLL_TYPES,
+  RANKED_TYPES,
+  CONDITION_OPERATORS,
+  hasQuestions,
+  isOpenText,
+  getRatingScale,
+  quadraticCost,
+  getCountedOptions,
+  summarizeOptions,
+  normalizeBallot
+} = require('../utils/ballots');
+const { DECISION_RULES, TIE_BREAK_STRATEGIES, ratingStatistics, decideOutcome } = require('../utils/tally');
+const { hasEligibilityRules, checkEligibility, buildEligibilityFilter } = require('../utils/eligibility');
+const { getTurnout } = require('../utils/turnout');
+const { tallyDelegatedVotes } = require('../utils/delegation');
+const { pairwiseResults } = require('../utils/condorcet');
+
+// Poll types that produce a formal outcome under a decision rule
+const DECIDABLE_TYPES = ['single', 'approval', 'ranked'];
+
+// Ballot weights only apply to the poll types with a formal outcome
+const isWeighted = (poll) => poll.weighting.mode !== 'none' && DECIDABLE_TYPES.includes(poll.pollType);
 
 const optionSchema = new mongoose.Schema({
   text: {
@@ -12,16 +37,160 @@ const optionSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
-  voters: [{
-    userId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    votedAt: {
-      type: Date,
-      default: Date.now
+  // Quiz questions: marks a right answer (hidden from voters until the poll ends)
+  isCorrect: {
+    type: Boolean,
+    default: false
+  },
+  // Rating polls: count of ratings per scale value, lowest value first
+  ratingDistribution: {
+    type: [Number],
+    default: undefined
+  },
+  // Weighted polls: sum of the weights of the ballots counted for this option
+  weightedVotes: {
+    type: Number,
+    min: 0
+  },
+  // Quadratic polls: credits spent on this option across all ballots
+  credits: {
+    type: Number,
+    min: 0
+  }
+});
+
+// Rating scale shared by rating polls and rating questions (0-10 enables NPS)
+const ratingScaleDefinition = {
+  min: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  max: {
+    type: Number,
+    default: 5,
+    max: 10
+  }
+};
+
+// Branching rule: show a question only when an earlier answer matches
+const displayConditionSchema = new mongoose.Schema({
+  questionIndex: {
+    type: Number,
+    required: [true, 'Display condition must reference a question'],
+    min: 0
+  },
+  operator: {
+    type: String,
+    enum: CONDITION_OPERATORS,
+    default: 'selected'
+  },
+  optionIndex: {
+    type: Number,
+    min: 0
+  },
+  // Threshold for rating_at_least / rating_at_most
+  value: Number
+}, { _id: false });
+
+// How a tie for first place was settled, recorded once and never changed
+const tieBreakResolutionSchema = new mongoose.Schema({
+  strategy: {
+    type: String,
+    enum: TIE_BREAK_STRATEGIES,
+    required: true
+  },
+  tiedOptions: [Number],
+  // Winning option; unset while a runoff poll decides
+  optionIndex: {
+    type: Number,
+    min: 0
+  },
+  // Random draws: the seed that reproduces the draw (see drawLot in utils/tally)
+  seed: String,
+  runoffPollId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One question of a survey poll, answered alongside the others in a single submission
+const questionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [200, 'Question text cannot exceed 200 characters']
+  },
+  questionType: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'single'
+  },
+  options: {
+    type: [optionSchema],
+    validate: {
+      validator: function(options) {
+        if (this.questionType === 'open_text') return options.length === 0;
+        const minOptions = this.questionType === 'rating' ? 1 : 2;
+        return options.length >= minOptions && options.length <= 10;
+      },
+      message: 'Each question must have between 2 and 10 options (1 for rating questions, none for open text)'
     }
-  }]
+  },
+  isRequired: {
+    type: Boolean,
+    default: true
+  },
+  displayConditions: [displayConditionSchema],
+  conditionLogic: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  // Number of submissions this question was shown to (its display conditions held)
+  shown: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Number of submissions that answered this question
+  responses: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Quiz questions: points for a correct answer, and how many answers were correct
+  points: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  correctResponses: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  settings: {
+    minSelections: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    maxSelections: {
+      type: Number,
+      min: 1
+    },
+    ratingScale: ratingScaleDefinition
+  }
 });
 
 const pollSchema = new mongoose.Schema({
@@ -41,11 +210,51 @@ const pollSchema = new mongoose.Schema({
     type: [optionSchema],
     validate: {
       validator: function(options) {
+        // Survey and quiz polls keep their options on each question instead,
+        // open text polls collect free-text responses and have none
+        if (this instanceof mongoose.Document && (hasQuestions(this) || isOpenText(this))) {
+          return options.length === 0;
+        }
         return options.length >= 2 && options.length <= 10;
       },
       message: 'Poll must have between 2 and 10 options'
     }
   },
+  questions: {
+    type: [questionSchema],
+    validate: [{
+      validator: function(questions) {
+        if (!(this instanceof mongoose.Document)) return true;
+        if (!hasQuestions(this)) return questions.length === 0;
+        return questions.length >= 1 && questions.length <= 50;
+      },
+      message: 'Survey and quiz polls must have between 1 and 50 questions'
+    }, {
+      // Every quiz question is a choice question with at least one right answer
+      validator: function(questions) {
+        if (!(this instanceof mongoose.Document) || this.pollType !== 'quiz') return true;
+        return questions.every(question => QUIZ_QUESTION_TYPES.includes(question.questionType) &&
+          question.options.some(option => option.isCorrect));
+      },
+      message: 'Quiz questions must be single or approval questions with at least one correct option'
+    }, {
+      // Branching may only look back, at options that exist
+      validator: function(questions) {
+        return questions.every((question, index) => (question.displayConditions || []).every(condition => {
+          const target = questions[condition.questionIndex];
+          if (!target || condition.questionIndex >= index) return false;
+          if (['answered', 'skipped'].includes(condition.operator)) return true;
+          return condition.optionIndex != null && condition.optionIndex < target.options.length;
+        }));
+      },
+      message: 'Display conditions must reference an option of an earlier question'
+    }]
+  },
+  pollType: {
+    type: String,
+    enum: POLL_TYPES,
+    default: 'single'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -71,6 +280,12 @@ const pollSchema = new mongoose.Schema({
     enum: ['draft', 'active', 'inactive', 'completed', 'cancelled'],
     default: 'active'
   },
+  // Set by the scheduler when it closes the poll, cleared once the outcome
+  // (automatic runoff or tie-break) has been settled
+  outcomePending: {
+    type: Boolean,
+    default: false
+  },
   isPublic: {
     type: Boolean,
     default: true
@@ -91,6 +306,120 @@ const pollSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Only voters holding a ballot token from the poll's invitations may vote
+  inviteOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Who may vote (see utils/eligibility); no rules lets every signed-in voter vote
+  eligibility: {
+    roles: [{
+      type: String,
+      enum: ['voter', 'admin']
+    }],
+    groups: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    emailDomains: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    minAccountAgeDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    requireEmailVerified: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Who turnout is measured against (see utils/turnout): every eligible account,
+  // eligible members of the listed groups, or the invitation roll
+  electorate: {
+    scope: {
+      type: String,
+      enum: ['all', 'group', 'invited'],
+      default: 'all'
+    },
+    groups: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
+  },
+  // How the result becomes a formal outcome (see decideOutcome in utils/tally)
+  decision: {
+    rule: {
+      type: String,
+      enum: DECISION_RULES,
+      default: 'plurality'
+    },
+    // Minimum participation for the outcome to stand: a number of voters,
+    // or a turnout percentage of the electorate
+    quorum: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    quorumType: {
+      type: String,
+      enum: ['voters', 'turnout'],
+      default: 'voters'
+    },
+    // Runoff between the topN options when the leader's share of the votes
+    // cast does not exceed threshold percent (see utils/runoff)
+    runoff: {
+      auto: {
+        type: Boolean,
+        default: false
+      },
+      topN: {
+        type: Number,
+        default: 2,
+        min: 2,
+        max: 10
+      },
+      threshold: {
+        type: Number,
+        default: 50,
+        min: 0,
+        max: 100
+      }
+    }
+  },
+  // What happens when the top options finish level (see utils/tieBreak)
+  tieBreak: {
+    strategy: {
+      type: String,
+      enum: TIE_BREAK_STRATEGIES,
+      default: 'none'
+    },
+    resolution: {
+      type: tieBreakResolutionSchema,
+      default: null
+    }
+  },
+  // Poll this one is a runoff for
+  runoffOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll'
+  },
+  // Runoff held after this poll, if any
+  runoffPoll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    default: null
+  },
+  // Election this poll is a race in; its voting window and voter roll come from there
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    default: null
+  },
   category: {
     type: String,
     enum: ['general', 'political', 'entertainment', 'sports', 'technology', 'education', 'business', 'other'],
@@ -111,10 +440,26 @@ const pollSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
-  votedUsers: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
+  // Weighted polls: sum of the weights of every ballot cast
+  totalWeight: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // How much each voter's ballot counts (see utils/weights)
+  weighting: {
+    mode: {
+      type: String,
+      enum: ['none', 'user', 'table'],
+      default: 'none'
+    },
+    // Table mode: weight of voters missing from the table (0 shuts them out)
+    defaultWeight: {
+      type: Number,
+      default: 1,
+      min: 0
+    }
+  },
   settings: {
     anonymousVoting: {
       type: Boolean,
@@ -132,6 +477,65 @@ const pollSchema = new mongoose.Schema({
     shuffleOptions: {
       type: Boolean,
       default: false
+    },
+    // Guest ballots (requireAuth: false) allowed from one IP address; 0 disables the check
+    maxGuestVotesPerIp: {
+      type: Number,
+      default: 5,
+      min: 0
+    },
+    // Let voters change or retract their ballot while the poll is active
+    allowVoteChange: {
+      type: Boolean,
+      default: false
+    },
+    // Approval polls: how many options a single ballot may select
+    minSelections: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    maxSelections: {
+      type: Number,
+      min: 1,
+      validate: {
+        validator: function(maxSelections) {
+          // Update validators run without a document, skip the cross-field check there
+          if (!(this instanceof mongoose.Document)) return true;
+          return maxSelections == null || maxSelections >= (this.settings.minSelections || 1);
+        },
+        message: 'Maximum selections cannot be lower than minimum selections'
+      }
+    },
+    // Rating polls: inclusive scale every option is rated on
+    ratingScale: ratingScaleDefinition,
+    // Open text: hold new responses for admin approval before they are shown
+    moderateResponses: {
+      type: Boolean,
+      default: false
+    },
+    // STV polls: how many options are elected
+    seats: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // Quadratic polls: credits each voter may spend, n votes for an option costing n²
+    creditBudget: {
+      type: Number,
+      default: 100,
+      min: 1
+    },
+    // Points polls: points each voter shares out across the options
+    pointsBudget: {
+      type: Number,
+      default: 100,
+      min: 1
+    },
+    // Count the votes members delegated to direct voters (see utils/delegation)
+    allowDelegation: {
+      type: Boolean,
+      default: false
     }
   },
   metadata: {
@@ -154,10 +558,13 @@ const pollSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 pollSchema.index({ status: 1, startDate: 1, endDate: 1 });
+pollSchema.index({ status: 1, endDate: 1 });
+pollSchema.index({ status: 1, outcomePending: 1 });
 pollSchema.index({ createdBy: 1 });
 pollSchema.index({ category: 1 });
 pollSchema.index({ tags: 1 });
 pollSchema.index({ 'metadata.featured': 1 });
+pollSchema.index({ election: 1 });
 
 // Virtual for checking if poll is currently active
 pollSchema.virtual('isActive').get(function() {
@@ -185,90 +592,767 @@ pollSchema.virtual('timeRemaining').get(function() {
   return this.endDate - now;
 });
 
-// Pre-save middleware to update poll status based on dates
+// Poll rule violations are the client's to fix (statusCode 400)
+const pollRuleError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Pre-save middleware to size rating distributions to each scale. Once votes
+// are in, the distributions hold them and are never resized.
 pollSchema.pre('save', function(next) {
-  const now = new Date();
-  
-  if (this.status === 'active') {
-    if (now < this.startDate) {
-      this.status = 'draft';
-    } else if (now > this.endDate) {
-      this.status = 'completed';
+  const specs = hasQuestions(this) ? this.questions : [this];
+
+  for (const spec of specs) {
+    if ((spec.questionType || spec.pollType) !== 'rating') continue;
+
+    const scale = getRatingScale(spec);
+    if (scale.max <= scale.min) {
+      return next(pollRuleError('Rating scale maximum must be greater than its minimum'));
     }
+
+    const buckets = scale.max - scale.min + 1;
+    spec.options.forEach(option => {
+      const sized = option.ratingDistribution && option.ratingDistribution.length > 0;
+      if (this.totalVotes > 0 && sized) return;
+      if (!sized || option.ratingDistribution.length !== buckets) {
+        option.ratingDistribution = new Array(buckets).fill(0);
+      }
+    });
+  }
+
+  next();
+});
+
+// Delegations are between members, invitation holders may not even have an account
+pollSchema.pre('validate', function(next) {
+  if (this.settings.allowDelegation && this.inviteOnly) {
+    return next(pollRuleError('Delegated voting is not available on invite-only polls'));
+  }
+  next();
+});
+
+// Ballot tokens belong to one poll and are only shown when issued, so the
+// voters of an invite-only poll could never vote in its runoff. Checked when
+// these settings change, so older polls can still be saved (saveRunoff refuses them).
+pollSchema.pre('validate', function(next) {
+  const changed = this.isNew || ['inviteOnly', 'decision', 'tieBreak'].some(path => this.isModified(path));
+  if (changed && this.inviteOnly && (this.decision.runoff.auto || this.tieBreak.strategy === 'runoff')) {
+    return next(pollRuleError('Runoff polls are not available on invite-only polls'));
+  }
+  next();
+});
+
+// An STV poll has to leave at least one option unelected
+pollSchema.pre('validate', function(next) {
+  if (this.pollType === 'stv' && this.settings.seats >= this.options.length) {
+    return next(pollRuleError('An STV poll needs more options than seats'));
+  }
+  next();
+});
+
+// A group electorate needs at least one group to draw from
+pollSchema.pre('validate', function(next) {
+  if (this.electorate && this.electorate.scope === 'group' && !this.electorate.groups.length) {
+    return next(pollRuleError('A group electorate requires at least one group'));
   }
-  
   next();
 });
 
-// Method to check if user can vote
-pollSchema.methods.canUserVote = function(userId) {
+// Collect the update operators that apply (direction 1) or reverse (direction -1)
+// a ballot's counts on a poll or survey question. prefix is the spec's path in the poll.
+const collectBallotCounts = (spec, prefix, ballot, direction, update) => {
+  // Open text answers live in the responses collection, there are no option counts
+  if (isOpenText(spec)) return;
+
+  const countedOptions = getCountedOptions(ballot);
+  if (direction > 0 && countedOptions.some(optionIndex => !spec.options[optionIndex])) {
+    throw new Error('Invalid option index');
+  }
+
+  // Budget ballots count the votes or points given to each option, every other ballot one
+  const allocated = new Map([
+    ...(ballot.allocations || []).map(allocation => [allocation.optionIndex, allocation.votes]),
+    ...(ballot.distribution || []).map(entry => [entry.optionIndex, entry.points])
+  ]);
+  countedOptions.forEach(optionIndex => {
+    if (spec.options[optionIndex]) {
+      update.$inc[`${prefix}options.${optionIndex}.votes`] = direction * (allocated.get(optionIndex) ?? 1);
+    }
+  });
+
+  // Quadratic ballots also move the credits spent on each option
+  if (spec.pollType === 'quadratic') {
+    allocated.forEach((votes, optionIndex) => {
+      if (spec.options[optionIndex]) {
+        update.$inc[`${prefix}options.${optionIndex}.credits`] = direction * quadraticCost(votes);
+      }
+    });
+  }
+
+  // Rating ballots also move each rated option's distribution
+  if (ballot.ratings && ballot.ratings.length) {
+    const scale = getRatingScale(spec);
+    ballot.ratings.forEach(({ optionIndex, value }) => {
+      const distribution = spec.options[optionIndex] && spec.options[optionIndex].ratingDistribution;
+      const bucket = value - scale.min;
+      if (distribution && distribution[bucket] !== undefined) {
+        update.$inc[`${prefix}options.${optionIndex}.ratingDistribution.${bucket}`] = direction;
+      }
+    });
+  }
+};
+
+// What a stored ballot counts for: its own weight in weighted polls plus the
+// delegated votes it carries (see utils/delegation)
+const getBallotWeight = (poll, ballot, delegation) =>
+  (isWeighted(poll) ? ballot.weight ?? 1 : 1) +
+  ((delegation && delegation.ballotWeights.get(ballot._id.toString())) || 0);
+
+// Pairwise count of a ranked poll's ballots, noting whether it picks the same
+// winner as the instant-runoff count
+const comparePairwise = (poll, ballots, weights, method, runoff) => {
+  const pairwise = pairwiseResults(poll.options, ballots, weights, method);
+  return {
+    ...pairwise,
+    agreesWithRunoff: !!pairwise.winner && !!runoff.winner && pairwise.winner.optionIndex === runoff.winner.optionIndex
+  };
+};
+
+// Build the atomic update for applying or reversing any ballot, including the poll
+// total (surveys and quizzes spread the ballot across their questions). weight is
+// what the ballot counts for in a weighted poll.
+const buildBallotUpdate = (poll, ballot, direction, weight = 1) => {
+  const update = { $inc: { totalVotes: direction } };
+
+  if (hasQuestions(poll)) {
+    // Ballots cast before branching existed saw every question
+    const shownQuestions = ballot.shownQuestions && ballot.shownQuestions.length
+      ? ballot.shownQuestions
+      : poll.questions.map((question, index) => index);
+    shownQuestions.forEach(questionIndex => {
+      if (poll.questions[questionIndex]) {
+        update.$inc[`questions.${questionIndex}.shown`] = direction;
+      }
+    });
+
+    (ballot.answers || []).forEach(answer => {
+      const question = poll.questions[answer.questionIndex];
+      if (!question) return;
+      collectBallotCounts(question, `questions.${answer.questionIndex}.`, answer, direction, update);
+      update.$inc[`questions.${answer.questionIndex}.responses`] = direction;
+    });
+
+    (ballot.correctQuestions || []).forEach(questionIndex => {
+      if (poll.questions[questionIndex]) {
+        update.$inc[`questions.${questionIndex}.correctResponses`] = direction;
+      }
+    });
+  } else {
+    collectBallotCounts(poll, '', ballot, direction, update);
+
+    // Weighted polls keep weighted counts beside the plain ones
+    if (isWeighted(poll)) {
+      update.$inc.totalWeight = direction * weight;
+      getCountedOptions(ballot).forEach(optionIndex => {
+        update.$inc[`options.${optionIndex}.weightedVotes`] = direction * weight;
+      });
+    }
+  }
+
+  return update;
+};
+
+// Ballot counts per poll for one voter (a userId or guestId filter)
+const loadBallotStats = async (voterFilter, pollIds) => {
+  const Vote = mongoose.model('Vote');
+  const stats = await Vote.aggregate([
+    {
+      $match: {
+        pollId: { $in: pollIds.map(pollId => new mongoose.Types.ObjectId(pollId)) },
+        ...voterFilter
+      }
+    },
+    {
+      $group: {
+        _id: '$pollId',
+        ballotsCast: { $sum: 1 },
+        lastBallotNumber: { $max: { $ifNull: ['$ballotNumber', 1] } }
+      }
+    }
+  ]);
+
+  return new Map(stats.map(stat => [stat._id.toString(), stat]));
+};
+
+// Turn a voter's ballot counts into a canUserVote/canGuestVote result
+const checkBallotLimit = (poll, stats) => {
+  const maxVotesAllowed = poll.settings.maxVotesPerUser || 1;
+  const ballotsCast = stats ? stats.ballotsCast : 0;
+
+  if (ballotsCast >= maxVotesAllowed) {
+    return { canVote: false, reason: `Maximum votes per user reached (${maxVotesAllowed})` };
+  }
+
+  return {
+    canVote: true,
+    ballotsCast,
+    ballotsRemaining: maxVotesAllowed - ballotsCast,
+    nextBallotNumber: stats ? stats.lastBallotNumber + 1 : 1
+  };
+};
+
+// Static method to load a user's ballot counts for many polls with one indexed query
+// Resolves to a Map of pollId string -> { ballotsCast, lastBallotNumber }
+pollSchema.statics.getUserBallotStats = function(userId, pollIds) {
+  return loadBallotStats({ userId: new mongoose.Types.ObjectId(userId) }, pollIds);
+};
+
+// Method to give a draft or active poll the status its voting window calls for
+// while the window is open or still to come. Closing is left to the scheduler,
+// which settles the poll's outcome as it does.
+pollSchema.methods.syncStatusToWindow = function(now = new Date()) {
+  if (['draft', 'active'].includes(this.status) && this.endDate > now) {
+    this.status = now < this.startDate ? 'draft' : 'active';
+  }
+  return this;
+};
+
+// Method to check if a user has cast any ballot in this poll
+pollSchema.methods.hasUserVoted = async function(userId) {
+  const Vote = mongoose.model('Vote');
+  return !!(await Vote.exists({ pollId: this._id, userId }));
+};
+
+// Method to check if a guest (signed guest token) has cast any ballot in this poll
+pollSchema.methods.hasGuestVoted = async function(guestId) {
+  const Vote = mongoose.model('Vote');
+  return !!guestId && !!(await Vote.exists({ pollId: this._id, guestId }));
+};
+
+// Method to check a user against this poll's eligibility rules
+pollSchema.methods.checkEligibility = function(user) {
+  return checkEligibility(this.eligibility, user, this.startDate);
+};
+
+// Method to count the active accounts this poll's eligibility rules admit
+pollSchema.methods.countEligibleVoters = function() {
+  return mongoose.model('User').countDocuments(buildEligibilityFilter(this.eligibility, this.startDate));
+};
+
+// Method to check if user can vote (user is the signed-in User document)
+// Every submission is one ballot in the votes collection, however many options it selects.
+// nextBallotNumber is reserved by the vote insert; the unique index on
+// { pollId, userId, ballotNumber } turns a concurrent duplicate into a rejected insert.
+// List routes pass ballotStats from getUserBallotStats to skip the per-poll lookup.
+pollSchema.methods.canUserVote = async function(user, ballotStats) {
   if (!this.isActive) return { canVote: false, reason: 'Poll is not active' };
+
+  const eligibility = this.checkEligibility(user);
+  if (!eligibility.eligible) return { canVote: false, reason: eligibility.reason };
   
-  const maxVotesAllowed = this.settings.maxVotesPerUser || 1;
-  
-  // Count how many times this user has voted
-  const userVoteCount = this.options.reduce((count, option) => {
-    return count + option.voters.filter(voter => voter.userId.toString() === userId.toString()).length;
-  }, 0);
+  // Count how many ballots this user has cast
+  const stats = ballotStats !== undefined
+    ? ballotStats
+    : (await this.constructor.getUserBallotStats(user._id, [this._id])).get(this._id.toString());
   
-  if (userVoteCount >= maxVotesAllowed) {
-    return { canVote: false, reason: `Maximum votes per user reached (${maxVotesAllowed})` };
+  return checkBallotLimit(this, stats);
+};
+
+// Method to check if voting needs an account even where a ballot token or
+// guest id would otherwise do: eligibility rules and voter weights are both
+// read from the voter's account
+pollSchema.methods.needsVoterAccount = function() {
+  return hasEligibilityRules(this.eligibility) || isWeighted(this);
+};
+
+// Method to check if an invitee may vote with only their ballot token
+pollSchema.methods.canInviteeVote = function() {
+  if (!this.isActive) return { canVote: false, reason: 'Poll is not active' };
+  if (this.needsVoterAccount()) {
+    return { canVote: false, reason: 'Please sign in to vote in this poll' };
   }
-  
-  return { canVote: true };
+  return { canVote: true, ballotsCast: 0, nextBallotNumber: 1 };
 };
 
-// Method to add vote
-pollSchema.methods.addVote = async function(userId, optionIndex) {
-  const canVoteResult = this.canUserVote(userId);
-  if (!canVoteResult.canVote) {
-    throw new Error(canVoteResult.reason);
+// Method to check if an unauthenticated guest can vote (polls with requireAuth: false)
+// Guests are told apart by their signed token; the per-IP cap catches voters
+// who clear cookies, while leaving room for households and offices behind one address.
+pollSchema.methods.canGuestVote = async function(guestId, ipAddress) {
+  if (!this.isActive) return { canVote: false, reason: 'Poll is not active' };
+  if (this.requireAuth || this.needsVoterAccount()) {
+    return { canVote: false, reason: 'Please sign in to vote in this poll' };
   }
-  
-  if (optionIndex < 0 || optionIndex >= this.options.length) {
-    throw new Error('Invalid option index');
+
+  const maxGuestVotesPerIp = this.settings.maxGuestVotesPerIp;
+  if (ipAddress && maxGuestVotesPerIp) {
+    const Vote = mongoose.model('Vote');
+    const ipBallots = await Vote.countDocuments({ pollId: this._id, ipAddress, guestId: { $exists: true } });
+    if (ipBallots >= maxGuestVotesPerIp) {
+      return { canVote: false, reason: 'Too many guest votes from this network' };
+    }
   }
-  
-  // Add vote to option
-  this.options[optionIndex].votes += 1;
-  this.options[optionIndex].voters.push({ userId });
-  
-  // Update poll totals
-  this.totalVotes += 1;
-  
-  // Add user to voted users if not already present
-  if (!this.votedUsers.includes(userId)) {
-    this.votedUsers.push(userId);
-    this.uniqueVoters += 1;
+
+  // A guest without a token has not voted yet
+  const stats = guestId
+    ? (await loadBallotStats({ guestId }, [this._id])).get(this._id.toString())
+    : null;
+  return checkBallotLimit(this, stats);
+};
+
+// Method to validate a submitted ballot against this poll's type
+pollSchema.methods.validateBallot = function(input) {
+  return normalizeBallot(this, input);
+};
+
+// Method to add vote (ballot comes from validateBallot, eligibility from canUserVote).
+// newVoter marks the user's first ballot in this poll. Counters are updated
+// atomically; resolves to the updated poll.
+pollSchema.methods.addVote = function(ballot, { newVoter = false, weight = 1, session } = {}) {
+  const update = buildBallotUpdate(this, ballot, 1, weight);
+  if (newVoter) {
+    update.$inc.uniqueVoters = 1;
   }
-  
-  return this.save();
+
+  return this.constructor.findByIdAndUpdate(this._id, update, { new: true, session });
 };
 
-// Method to get poll results
-pollSchema.methods.getResults = function() {
-  const results = this.options.map(option => ({
-    text: option.text,
-    votes: option.votes,
-    percentage: this.totalVotes > 0 ? ((option.votes / this.totalVotes) * 100).toFixed(2) : 0
+// Method to remove a stored ballot's counts from this poll.
+// lastBallot marks the user's last remaining ballot. Resolves to the updated poll.
+pollSchema.methods.removeBallot = function(vote, { lastBallot = false, session } = {}) {
+  const update = buildBallotUpdate(this, vote, -1, vote.weight);
+  if (lastBallot) {
+    update.$inc.uniqueVoters = -1;
+  }
+
+  return this.constructor.findByIdAndUpdate(this._id, update, { new: true, session });
+};
+
+// Method to swap a stored ballot's counts for a new ballot from the same voter
+// (the new ballot keeps the weight the vote was cast with)
+pollSchema.methods.replaceBallot = function(vote, ballot, { session } = {}) {
+  const update = buildBallotUpdate(this, ballot, 1, vote.weight);
+  Object.entries(buildBallotUpdate(this, vote, -1, vote.weight).$inc).forEach(([path, amount]) => {
+    update.$inc[path] = (update.$inc[path] || 0) + amount;
+  });
+
+  return this.constructor.findByIdAndUpdate(this._id, update, { new: true, session });
+};
+
+// Method to list who voted for each option, a page at a time, read from the votes collection.
+// A ballot counts for an option in the same fields getCountedOptions reads.
+pollSchema.methods.getOptionVoters = async function({ page = 1, limit = 50 } = {}) {
+  const Vote = mongoose.model('Vote');
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+  return Promise.all(this.options.map(async (option, optionIndex) => {
+    const votes = await Vote.find({
+      pollId: this._id,
+      $or: [
+        { optionIndex },
+        { selections: optionIndex },
+        { 'ratings.optionIndex': optionIndex },
+        { 'allocations.optionIndex': optionIndex },
+        { 'distribution.optionIndex': optionIndex }
+      ]
+    })
+      .select('userId guestId createdAt')
+      .sort({ createdAt: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean();
+
+    return votes.map(vote => ({ userId: vote.userId, guestId: vote.guestId, votedAt: vote.createdAt }));
   }));
-  
-  return {
+};
+
+// Method to check if a voter may change or retract their ballot
+pollSchema.methods.canChangeVote = function() {
+  if (!this.settings.allowVoteChange) {
+    return { allowed: false, reason: 'This poll does not allow votes to be changed' };
+  }
+  if (!this.isActive) {
+    return { allowed: false, reason: 'Poll is not active' };
+  }
+  return { allowed: true };
+};
+
+// Method to check if a viewer may see results yet
+pollSchema.methods.canViewResults = async function(user, { guestId } = {}) {
+  if (this.hasEnded || this.showResultsBeforeEnd) return true;
+  if (user && user.role === 'admin') return true;
+  if (!this.showResultsAfterVoting) return false;
+  if (user) return this.hasUserVoted(user._id);
+  return this.hasGuestVoted(guestId);
+};
+
+// Method to decide whether a viewer may see quiz answers (after the poll ends, or its owners)
+pollSchema.methods.shouldRevealAnswers = function(user) {
+  if (this.pollType !== 'quiz' || this.hasEnded || this.status === 'completed') return true;
+  if (!user) return false;
+  return user.role === 'admin' || this.createdBy.toString() === (user._id || user).toString();
+};
+
+// Method to get a plain poll object with quiz answers removed unless the viewer may see them
+pollSchema.methods.toViewerObject = function(user) {
+  const pollObj = this.toObject();
+  if (!this.shouldRevealAnswers(user)) {
+    pollObj.questions = (pollObj.questions || []).map(question => ({
+      ...question,
+      correctResponses: undefined,
+      options: question.options.map(({ isCorrect, ...option }) => option)
+    }));
+  }
+  return pollObj;
+};
+
+// Method to get poll results
+// Quiz correctness is only included when revealAnswers is set (defaults to once the poll has ended).
+// Ranked polls add a pairwise count when method is one of PAIRWISE_METHODS (see utils/condorcet).
+pollSchema.methods.getResults = async function({ revealAnswers = this.shouldRevealAnswers(), method } = {}) {
+  const Vote = mongoose.model('Vote');
+  const summary = {
     pollId: this._id,
     title: this.title,
+    pollType: this.pollType,
     totalVotes: this.totalVotes,
     uniqueVoters: this.uniqueVoters,
-    results,
+    results: [],
     status: this.status,
     endDate: this.endDate,
     hasEnded: this.hasEnded
   };
+
+  if (!hasQuestions(this)) {
+    const weighted = isWeighted(this);
+    const delegation = this.usesDelegation() ? await tallyDelegatedVotes(this) : null;
+
+    // Ranked and STV polls need every ranking for the count, points polls every distribution
+    let ballotDetails = [];
+    let weights;
+    if (RANKED_TYPES.includes(this.pollType)) {
+      const ballots = await Vote.find({ pollId: this._id }).select('ranking weight').lean();
+      ballotDetails = ballots.map(ballot => ballot.ranking || []);
+      if (weighted || delegation) {
+        weights = ballots.map(ballot => getBallotWeight(this, ballot, delegation));
+      }
+    } else if (this.pollType === 'points') {
+      const ballots = await Vote.find({ pollId: this._id }).select('distribution').lean();
+      ballotDetails = ballots.map(ballot => ballot.distribution || []);
+    }
+
+    const withPairwise = method && this.pollType === 'ranked';
+
+    if (!weighted && !delegation) {
+      const optionSummary = summarizeOptions(this, this.totalVotes, ballotDetails);
+      return {
+        ...summary,
+        ...optionSummary,
+        ...(withPairwise && { pairwise: comparePairwise(this, ballotDetails, weights, method, optionSummary.runoff) }),
+        outcome: await this.getOutcome(optionSummary)
+      };
+    }
+
+    // Options count ballot weights, plus delegated votes for whatever the
+    // delegate chose; the plain ballot counts are kept alongside
+    const castVotes = weighted ? this.totalWeight : this.totalVotes;
+    const votesCast = castVotes + (delegation ? delegation.delegatedWeight : 0);
+    const countedSpec = {
+      pollType: this.pollType,
+      options: this.options.map((option, optionIndex) => ({
+        text: option.text,
+        votes: (weighted ? option.weightedVotes || 0 : option.votes) +
+          (delegation ? delegation.delegatedVotes[optionIndex] : 0)
+      }))
+    };
+    const optionSummary = summarizeOptions(countedSpec, votesCast, ballotDetails, weights);
+    optionSummary.results = optionSummary.results.map((result, optionIndex) => {
+      const option = this.options[optionIndex];
+      return {
+        ...result,
+        ...(weighted && { unweightedVotes: option.votes }),
+        ...(delegation && {
+          directVotes: weighted ? option.weightedVotes || 0 : option.votes,
+          delegatedVotes: delegation.delegatedVotes[optionIndex]
+        })
+      };
+    });
+
+    return {
+      ...summary,
+      ...optionSummary,
+      ...(weighted && {
+        weighting: {
+          mode: this.weighting.mode,
+          totalWeight: this.totalWeight,
+          totalBallots: this.totalVotes
+        }
+      }),
+      ...(delegation && {
+        delegation: {
+          directVotes: castVotes,
+          delegatedVotes: delegation.delegatedWeight,
+          totalVotes: votesCast
+        }
+      }),
+      ...(withPairwise && { pairwise: comparePairwise(this, ballotDetails, weights, method, optionSummary.runoff) }),
+      outcome: await this.getOutcome(optionSummary, votesCast)
+    };
+  }
+
+  // Surveys: results per question plus how many submissions answered everything
+  const needsRankings = this.questions.some(question => question.questionType === 'ranked');
+  const ballots = needsRankings
+    ? await Vote.find({ pollId: this._id }).select('answers.questionIndex answers.ranking').lean()
+    : [];
+
+  summary.questions = this.questions.map((question, questionIndex) => {
+    const rankings = ballots
+      .map(ballot => (ballot.answers || []).find(answer => answer.questionIndex === questionIndex))
+      .filter(answer => answer && answer.ranking)
+      .map(answer => answer.ranking);
+
+    return {
+      questionIndex,
+      text: question.text,
+      questionType: question.questionType,
+      isRequired: question.isRequired,
+      displayConditions: question.displayConditions,
+      shown: question.shown,
+      skipped: Math.max(0, this.totalVotes - question.shown),
+      responses: question.responses,
+      // Only respondents who were shown the question count toward its rate
+      responseRate: question.shown > 0 ? ((question.responses / question.shown) * 100).toFixed(2) : 0,
+      ...summarizeOptions(question, question.responses, rankings),
+      ...(this.pollType === 'quiz' && revealAnswers && {
+        points: question.points,
+        correctOptions: question.options
+          .map((option, optionIndex) => (option.isCorrect ? optionIndex : null))
+          .filter(optionIndex => optionIndex !== null),
+        correctResponses: question.correctResponses,
+        correctRate: question.responses > 0 ? ((question.correctResponses / question.responses) * 100).toFixed(2) : 0
+      })
+    };
+  });
+
+  // Complete = every question shown to the respondent was answered
+  const allQuestions = this.questions.map((question, index) => index);
+  const completedResponses = await Vote.countDocuments({
+    pollId: this._id,
+    $expr: {
+      $eq: [
+        { $size: { $ifNull: ['$answers', []] } },
+        { $size: { $ifNull: ['$shownQuestions', allQuestions] } }
+      ]
+    }
+  });
+  summary.completedResponses = completedResponses;
+  summary.completionRate = this.totalVotes > 0 ? ((completedResponses / this.totalVotes) * 100).toFixed(2) : 0;
+
+  // Quizzes: score distribution across submissions
+  if (this.pollType === 'quiz' && revealAnswers) {
+    const [scores] = await Vote.aggregate([
+      { $match: { pollId: this._id } },
+      {
+        $group: {
+          _id: null,
+          averageScore: { $avg: '$score' },
+          highestScore: { $max: '$score' },
+          lowestScore: { $min: '$score' },
+          maxScore: { $max: '$maxScore' }
+        }
+      }
+    ]);
+    summary.scores = scores ? {
+      averageScore: Number((scores.averageScore || 0).toFixed(2)),
+      highestScore: scores.highestScore,
+      lowestScore: scores.lowestScore,
+      maxScore: scores.maxScore
+    } : null;
+  }
+
+  return summary;
+};
+
+// Method to check whether enough voters took part for the outcome to stand
+pollSchema.methods.checkQuorum = async function() {
+  const { quorum, quorumType } = this.decision;
+  const participation = quorum > 0 && quorumType === 'turnout'
+    ? Number((await getTurnout(this)).turnout)
+    : this.uniqueVoters;
+
+  return {
+    type: quorumType,
+    required: quorum,
+    participation,
+    reached: participation >= quorum
+  };
+};
+
+// Method to check if ballots in this poll carry their voter's weight
+pollSchema.methods.usesWeighting = function() {
+  return isWeighted(this);
+};
+
+// Method to check if delegated votes count toward this poll's results
+pollSchema.methods.usesDelegation = function() {
+  return !!this.settings.allowDelegation && DECIDABLE_TYPES.includes(this.pollType);
+};
+
+// Method to get the formal outcome of a choice poll from its option summary
+// (votesCast includes any delegated votes)
+// Surveys, rating, budget, multi-seat and open text polls have no single verdict and return null
+pollSchema.methods.getOutcome = async function(optionSummary, votesCast = this.totalVotes) {
+  if (!DECIDABLE_TYPES.includes(this.pollType)) return null;
+
+  // Ranked polls are decided on the final runoff round
+  let tallies;
+  let counted = votesCast;
+  if (this.pollType === 'ranked') {
+    const { rounds } = optionSummary.runoff;
+    const finalRound = rounds[rounds.length - 1];
+    tallies = finalRound.tallies;
+    counted = finalRound.continuingBallots;
+  } else {
+    tallies = optionSummary.results.map((result, optionIndex) => ({
+      optionIndex,
+      text: result.text,
+      votes: result.votes
+    }));
+  }
+
+  const outcome = decideOutcome(this.decision.rule, tallies, counted);
+  const quorum = await this.checkQuorum();
+
+  const result = {
+    ...outcome,
+    status: quorum.reached ? outcome.status : 'no_quorum',
+    winner: quorum.reached ? outcome.winner : null,
+    quorum,
+    // Until the poll ends the outcome only reflects the votes so far
+    final: this.hasEnded
+  };
+
+  if (outcome.tie && quorum.reached) {
+    result.tieBreak = this.describeTieBreak();
+
+    // A broken tie passes when the tied options cleared the rule's threshold
+    const { resolution } = this.tieBreak;
+    if (resolution && resolution.optionIndex != null && outcome.thresholdMet) {
+      result.status = 'passed';
+      result.winner = {
+        optionIndex: resolution.optionIndex,
+        text: this.options[resolution.optionIndex].text
+      };
+    }
+  }
+
+  return result;
+};
+
+// Method to describe how a tie at the top is (or will be) broken
+pollSchema.methods.describeTieBreak = function() {
+  const { strategy, resolution } = this.tieBreak;
+
+  if (!resolution) {
+    return { strategy, status: strategy === 'none' ? 'unresolved' : 'pending' };
+  }
+
+  return {
+    strategy,
+    status: resolution.runoffPollId ? 'runoff' : 'resolved',
+    tiedOptions: resolution.tiedOptions,
+    optionIndex: resolution.optionIndex,
+    seed: resolution.seed,
+    runoffPollId: resolution.runoffPollId,
+    decidedBy: resolution.decidedBy,
+    decidedAt: resolution.decidedAt
+  };
+};
+
+// Method to list, in casting order, which of the given options each ballot
+// counted toward (for ranked polls, the highest ranked of them) and how many
+// votes it carried
+pollSchema.methods.getBallotChoices = async function(optionIndexes) {
+  const Vote = mongoose.model('Vote');
+  const candidates = new Set(optionIndexes);
+
+  const [ballots, delegation] = await Promise.all([
+    Vote.find({ pollId: this._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .select('optionIndex selections ratings ranking weight')
+      .lean(),
+    this.usesDelegation() ? tallyDelegatedVotes(this) : null
+  ]);
+
+  return ballots.map(ballot => {
+    const weight = getBallotWeight(this, ballot, delegation);
+
+    if (this.pollType === 'ranked') {
+      const choice = (ballot.ranking || []).find(optionIndex => candidates.has(optionIndex));
+      return { choices: choice === undefined ? [] : [choice], weight };
+    }
+    return { choices: getCountedOptions(ballot).filter(optionIndex => candidates.has(optionIndex)), weight };
+  });
+};
+
+// Method to build (unsaved) a runoff poll between some of this poll's options.
+// It runs as long as this poll did and keeps its audience, settings and rules.
+pollSchema.methods.buildRunoff = function(optionIndexes) {
+  const now = new Date();
+  const duration = this.endDate - this.startDate;
+  const title = `Runoff: ${this.title}`;
+
+  return new this.constructor({
+    title: title.length > 100 ? `${title.slice(0, 99)}…` : title,
+    description: this.description,
+    options: optionIndexes.map(optionIndex => ({ text: this.options[optionIndex].text })),
+    // Approving several of the finalists would decide nothing, so those runoffs are single choice
+    pollType: this.pollType === 'approval' ? 'single' : this.pollType,
+    createdBy: this.createdBy,
+    startDate: now,
+    endDate: new Date(now.getTime() + duration),
+    status: 'active',
+    isPublic: this.isPublic,
+    allowMultipleVotes: this.allowMultipleVotes,
+    showResultsBeforeEnd: this.showResultsBeforeEnd,
+    showResultsAfterVoting: this.showResultsAfterVoting,
+    requireAuth: this.requireAuth,
+    inviteOnly: this.inviteOnly,
+    eligibility: this.eligibility,
+    electorate: this.electorate,
+    weighting: this.weighting,
+    // A runoff never spawns another runoff of its own
+    decision: {
+      rule: this.decision.rule,
+      quorum: this.decision.quorum,
+      quorumType: this.decision.quorumType
+    },
+    // A runoff that ties again is left to the creator rather than another runoff
+    tieBreak: { strategy: this.tieBreak.strategy === 'runoff' ? 'creator' : this.tieBreak.strategy },
+    runoffOf: this._id,
+    category: this.category,
+    tags: this.tags,
+    settings: {
+      anonymousVoting: this.settings.anonymousVoting,
+      allowComments: this.settings.allowComments,
+      maxVotesPerUser: this.settings.maxVotesPerUser,
+      shuffleOptions: this.settings.shuffleOptions,
+      maxGuestVotesPerIp: this.settings.maxGuestVotesPerIp,
+      allowVoteChange: this.settings.allowVoteChange
+    }
+  });
+};
+
+// Method to get rating statistics for one option of a rating poll
+pollSchema.methods.getRatingStatistics = function(optionIndex) {
+  const scale = getRatingScale(this);
+  const distribution = this.options[optionIndex].ratingDistribution || [];
+  return ratingStatistics(distribution, scale);
 };
 
 // Method to get poll summary for admin
-pollSchema.methods.getAdminSummary = function() {
+pollSchema.methods.getAdminSummary = async function() {
   return {
-    ...this.getResults(),
+    ...(await this.getResults({ revealAnswers: true })),
     createdBy: this.createdBy,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt,
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { MAX_TEXT_LENGTH } = require('../utils/ballots');
+
+// Free-text answer to an open text poll or open text survey question
+const responseSchema = new mongoose.Schema({
+  pollId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  // Survey question answered; null for open text polls
+  questionIndex: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  voteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vote',
+    required: true
+  },
+  // Same voter as the vote: a user, a guest or the invitation whose ballot token was used
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return !this.guestId && !this.invitationId; }
+  },
+  invitationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invitation'
+  },
+  guestId: {
+    type: String
+  },
+  text: {
+    type: String,
+    required: [true, 'Response text is required'],
+    trim: true,
+    maxlength: [MAX_TEXT_LENGTH, `Response cannot exceed ${MAX_TEXT_LENGTH} characters`]
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'hidden'],
+    default: 'approved'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+responseSchema.index({ pollId: 1, questionIndex: 1, status: 1, createdAt: -1 });
+responseSchema.index({ status: 1, createdAt: -1 });
+responseSchema.index({ voteId: 1 });
+
+// Static method to build the responses for a new vote.
+// Moves responseText out of the ballot and links each response from the vote.
+responseSchema.statics.fromBallot = function(poll, ballot, vote) {
+  const status = poll.settings.moderateResponses ? 'pending' : 'approved';
+
+  const build = (text, questionIndex) => new this({
+    pollId: poll._id,
+    questionIndex,
+    voteId: vote._id,
+    userId: vote.userId,
+    invitationId: vote.invitationId,
+    guestId: vote.guestId,
+    text,
+    status
+  });
+
+  const responses = [];
+
+  if (ballot.responseText !== undefined) {
+    const response = build(ballot.responseText, null);
+    vote.responseId = response._id;
+    responses.push(response);
+  }
+
+  (ballot.answers || []).forEach((answer, index) => {
+    if (answer.responseText === undefined) return;
+
+    const response = build(answer.responseText, answer.questionIndex);
+    vote.answers[index].responseId = response._id;
+    responses.push(response);
+  });
+
+  return responses;
+};
+
+// Method to moderate a response
+responseSchema.methods.moderate = function(status, moderatorId) {
+  this.status = status;
+  this.moderatedBy = moderatorId;
+  this.moderatedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('Response', responseSchema);
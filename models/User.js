@@ -29,6 +29,18 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Admin-assigned groups, used by poll eligibility rules
+  groups: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Ballot weight in polls weighted by account (share count, membership tier...)
+  voteWeight: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
   votedPolls: [{
     pollId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -80,6 +92,7 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ groups: 1 });
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
@@ -1,24 +1,159 @@
 const mongoose = require('mongoose');
 
+// Ratings given on a rating ballot or rating question
+const ratingSchema = new mongoose.Schema({
+  optionIndex: { type: Number, min: 0, required: true },
+  value: { type: Number, required: true }
+}, { _id: false });
+
+// Votes bought for one option on a quadratic ballot
+const allocationSchema = new mongoose.Schema({
+  optionIndex: { type: Number, min: 0, required: true },
+  votes: { type: Number, min: 1, required: true }
+}, { _id: false });
+
+// Points given to one option on a points ballot
+const distributionSchema = new mongoose.Schema({
+  optionIndex: { type: Number, min: 0, required: true },
+  points: { type: Number, min: 1, required: true }
+}, { _id: false });
+
+// Answer to one survey question, shaped like a ballot for that question's type
+const answerSchema = new mongoose.Schema({
+  questionIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  optionIndex: {
+    type: Number,
+    min: 0
+  },
+  optionText: String,
+  ranking: {
+    type: [{ type: Number, min: 0 }],
+    default: undefined
+  },
+  selections: {
+    type: [{ type: Number, min: 0 }],
+    default: undefined
+  },
+  ratings: {
+    type: [ratingSchema],
+    default: undefined
+  },
+  // Free-text answer to an open text question
+  responseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Response'
+  }
+}, { _id: false });
+
+// Survey and open text ballots carry no top-level option choice
+const hasNoChoices = (vote) => (!vote.answers || vote.answers.length === 0) && !vote.responseId;
+
 const voteSchema = new mongoose.Schema({
   pollId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Poll',
     required: true
   },
+  // Registered voter; guest ballots carry guestId instead
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return !this.guestId && !this.invitationId; }
   },
+  // Invitation whose ballot token cast this vote (invite-only polls)
+  invitationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invitation'
+  },
+  // Id from the signed guest token of an unauthenticated voter (polls with requireAuth: false)
+  guestId: {
+    type: String
+  },
+  // First choice of the ballot; survey ballots record choices per answer
+  // instead and open text ballots point at their response
   optionIndex: {
     type: Number,
-    required: true,
+    required: function() { return hasNoChoices(this); },
     min: 0
   },
   optionText: {
     type: String,
-    required: true
+    required: function() { return hasNoChoices(this); }
+  },
+  // Free-text answer of an open text poll
+  responseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Response'
+  },
+  // Full preference order for ranked-choice and STV polls (optionIndex is the first preference)
+  ranking: {
+    type: [{ type: Number, min: 0 }],
+    default: undefined
+  },
+  // Every option selected on an approval ballot (optionIndex is the lowest selected)
+  selections: {
+    type: [{ type: Number, min: 0 }],
+    default: undefined
+  },
+  // Scores given on a rating ballot (optionIndex is the first rated option)
+  ratings: {
+    type: [ratingSchema],
+    default: undefined
+  },
+  // Votes per option on a quadratic ballot (optionIndex is the option given the most)
+  allocations: {
+    type: [allocationSchema],
+    default: undefined
+  },
+  // Credits the allocations cost, fixed when the ballot is cast
+  creditsSpent: {
+    type: Number,
+    min: 0
+  },
+  // Points per option on a points ballot, options given none left out
+  // (optionIndex is the option given the most)
+  distribution: {
+    type: [distributionSchema],
+    default: undefined
+  },
+  // One entry per answered question of a survey poll
+  answers: {
+    type: [answerSchema],
+    default: undefined
+  },
+  // Survey questions whose display conditions held for this submission, in order
+  shownQuestions: {
+    type: [{ type: Number, min: 0 }],
+    default: undefined
+  },
+  // Quiz scoring, fixed when the ballot is cast
+  score: {
+    type: Number,
+    min: 0
+  },
+  maxScore: {
+    type: Number,
+    min: 0
+  },
+  correctQuestions: {
+    type: [{ type: Number, min: 0 }],
+    default: undefined
+  },
+  // Position of this ballot among the voter's ballots for the poll (1 for single-vote polls)
+  ballotNumber: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // What the ballot counts for in a weighted poll, fixed when it is cast
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0
   },
   isAnonymous: {
     type: Boolean,
@@ -46,14 +181,35 @@ const voteSchema = new mongoose.Schema({
     }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Concurrent changes to the same ballot fail instead of overwriting each other
+  optimisticConcurrency: true
 });
 
-// Compound index to ensure one vote per user per poll (unless multiple votes allowed)
+// Each ballot number is used once per user per poll, so concurrent submissions
+// for the same slot cannot both be stored (ballots from before numbering are skipped)
+voteSchema.index(
+  { pollId: 1, userId: 1, ballotNumber: 1 },
+  { unique: true, partialFilterExpression: { ballotNumber: { $exists: true }, userId: { $exists: true } } }
+);
+voteSchema.index(
+  { pollId: 1, guestId: 1, ballotNumber: 1 },
+  { unique: true, partialFilterExpression: { guestId: { $exists: true } } }
+);
+voteSchema.index({ pollId: 1, ipAddress: 1 });
+// Ballots by voter for joins, which cannot use the partial ballot-number index
 voteSchema.index({ pollId: 1, userId: 1 });
+voteSchema.index({ invitationId: 1 }, { unique: true, partialFilterExpression: { invitationId: { $exists: true } } });
 voteSchema.index({ pollId: 1, createdAt: -1 });
 voteSchema.index({ userId: 1, createdAt: -1 });
 
+// Method to get the filter matching every ballot of this vote's voter in its poll
+voteSchema.methods.getVoterFilter = function() {
+  if (this.userId) return { pollId: this.pollId, userId: this.userId };
+  if (this.guestId) return { pollId: this.pollId, guestId: this.guestId };
+  return { _id: this._id };
+};
+
 // Static method to get vote statistics for a poll
 voteSchema.statics.getPollVoteStats = async function(pollId) {
   const stats = await this.aggregate([
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Row of a weighted poll's imported weight table (e.g. share counts). Voters
+// are matched by account or by email; anyone not listed gets the poll's
+// default weight.
+const voterWeightSchema = new mongoose.Schema({
+  pollId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  weight: {
+    type: Number,
+    required: [true, 'Weight is required'],
+    min: [0, 'Weight cannot be negative']
+  },
+  // Where the weight comes from, e.g. a membership tier or share class
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  }
+}, {
+  timestamps: true
+});
+
+// Every row names the voter by email or user account
+voterWeightSchema.pre('validate', function(next) {
+  if (!this.email && !this.userId) {
+    return next(new Error('Voter weight requires an email or user ID'));
+  }
+  next();
+});
+
+voterWeightSchema.index({ pollId: 1, email: 1 }, { unique: true, partialFilterExpression: { email: { $exists: true } } });
+voterWeightSchema.index({ pollId: 1, userId: 1 }, { unique: true, partialFilterExpression: { userId: { $exists: true } } });
+
+module.exports = mongoose.model('VoterWeight', voterWeightSchema);
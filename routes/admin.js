@@ -2,9 +2,16 @@ const express = require('express');
 const User = require('../models/User');
 const Poll = require('../models/Poll');
 const Vote = require('../models/Vote');
+const Response = require('../models/Response');
+const Invitation = require('../models/Invitation');
+const VoterWeight = require('../models/VoterWeight');
+const Election = require('../models/Election');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validateMongoId, validatePagination } = require('../middleware/validation');
+const { validateMongoId, validatePagination, validateUserGroups, validateUserVoteWeight, validateRunoff } = require('../middleware/validation');
 const { emitPollDeleted, emitDashboardStats } = require('../utils/websocket');
+const { getTurnout } = require('../utils/turnout');
+const { startRunoff } = require('../utils/runoff');
+const mongoose = require('mongoose');
 
 const router = express.Router();
 
@@ -58,7 +65,7 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
         votes: recentVotes.map(vote => ({
           id: vote._id,
           pollTitle: vote.pollId.title,
-          voterName: vote.userId.name,
+          voterName: vote.userId ? vote.userId.name : 'Guest',
           optionText: vote.optionText,
           votedAt: vote.createdAt
         }))
@@ -276,6 +283,65 @@ router.put('/users/:id/role', authenticateToken, requireAdmin, validateMongoId('
   }
 });
 
+// @route   PUT /api/admin/users/:id/groups
+// @desc    Replace the groups a user belongs to (used by poll eligibility rules)
+// @access  Private (Admin only)
+router.put('/users/:id/groups', authenticateToken, requireAdmin, validateMongoId('id'), validateUserGroups, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.groups = [...new Set(req.body.groups.map(group => group.toLowerCase()))];
+    await user.save();
+
+    res.json({
+      message: 'User groups updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        groups: user.groups
+      }
+    });
+  } catch (error) {
+    console.error('Update user groups error:', error);
+    res.status(500).json({ message: 'Server error updating user groups' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/vote-weight
+// @desc    Set the weight of a user's ballots in polls weighted by account
+// @access  Private (Admin only)
+router.put('/users/:id/vote-weight', authenticateToken, requireAdmin, validateMongoId('id'), validateUserVoteWeight, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Ballots already cast keep the weight they were cast with
+    user.voteWeight = req.body.voteWeight;
+    await user.save();
+
+    res.json({
+      message: 'User vote weight updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        voteWeight: user.voteWeight
+      }
+    });
+  } catch (error) {
+    console.error('Update user vote weight error:', error);
+    res.status(500).json({ message: 'Server error updating user vote weight' });
+  }
+});
+
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete user (soft delete by deactivating)
 // @access  Private (Admin only)
@@ -405,6 +471,39 @@ router.put('/polls/:id/feature', authenticateToken, requireAdmin, validateMongoI
   }
 });
 
+// @route   POST /api/admin/polls/:id/runoff
+// @desc    Create a runoff poll between an ended poll's top options
+// @access  Private (Admin only)
+router.post('/polls/:id/runoff', authenticateToken, requireAdmin, validateMongoId('id'), validateRunoff, async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id);
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const topN = req.body.topN === undefined ? undefined : parseInt(req.body.topN);
+    const runoff = await startRunoff(poll, { actor: req.user._id, topN });
+
+    res.status(201).json({
+      message: 'Runoff poll created successfully',
+      runoff: {
+        id: runoff._id,
+        title: runoff.title,
+        options: runoff.options.map(option => option.text),
+        startDate: runoff.startDate,
+        endDate: runoff.endDate,
+        runoffOf: runoff.runoffOf
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create runoff error:', error);
+    res.status(500).json({ message: 'Server error creating runoff poll' });
+  }
+});
+
 // @route   DELETE /api/admin/polls/:id
 // @desc    Delete poll and all associated votes
 // @access  Private (Admin only)
@@ -424,8 +523,16 @@ router.delete('/polls/:id', authenticateToken, requireAdmin, validateMongoId('id
       totalVotes: poll.totalVotes
     };
 
-    // Delete all votes associated with this poll
+    // Delete all votes, free-text responses, invitations and voter weights associated with this poll
     await Vote.deleteMany({ pollId: poll._id });
+    await Response.deleteMany({ pollId: poll._id });
+    await Invitation.deleteMany({ pollId: poll._id });
+    await VoterWeight.deleteMany({ pollId: poll._id });
+
+    // Take the poll out of its election's races
+    if (poll.election) {
+      await Election.updateOne({ _id: poll.election }, { $pull: { races: poll._id } });
+    }
 
     // Remove poll from users' votedPolls arrays
     await User.updateMany(
@@ -453,6 +560,101 @@ router.delete('/polls/:id', authenticateToken, requireAdmin, validateMongoId('id
   }
 });
 
+// @route   GET /api/admin/responses
+// @desc    Get free-text responses for moderation
+// @access  Private (Admin only)
+router.get('/responses', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending', pollId } = req.query;
+
+    const filter = {};
+    if (status !== 'all') {
+      if (!['pending', 'approved', 'hidden'].includes(status)) {
+        return res.status(400).json({ message: 'Invalid status filter' });
+      }
+      filter.status = status;
+    }
+    if (pollId) {
+      if (!mongoose.Types.ObjectId.isValid(pollId)) {
+        return res.status(400).json({ message: 'Invalid pollId' });
+      }
+      filter.pollId = pollId;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const responses = await Response.find(filter)
+      .populate('pollId', 'title')
+      .populate('userId', 'name email')
+      .populate('moderatedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Response.countDocuments(filter);
+
+    res.json({
+      responses: responses.map(response => ({
+        id: response._id,
+        text: response.text,
+        status: response.status,
+        questionIndex: response.questionIndex,
+        poll: response.pollId ? { id: response.pollId._id, title: response.pollId.title } : null,
+        author: response.userId ? {
+          id: response.userId._id,
+          name: response.userId.name,
+          email: response.userId.email
+        } : null,
+        moderatedBy: response.moderatedBy ? response.moderatedBy.name : null,
+        moderatedAt: response.moderatedAt,
+        submittedAt: response.createdAt
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalResponses: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get responses error:', error);
+    res.status(500).json({ message: 'Server error fetching responses' });
+  }
+});
+
+// @route   PUT /api/admin/responses/:id/moderate
+// @desc    Approve or hide a free-text response
+// @access  Private (Admin only)
+router.put('/responses/:id/moderate', authenticateToken, requireAdmin, validateMongoId('id'), async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!['approved', 'hidden'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be approved or hidden' });
+    }
+
+    const response = await Response.findById(req.params.id);
+    if (!response) {
+      return res.status(404).json({ message: 'Response not found' });
+    }
+
+    await response.moderate(status, req.user._id);
+
+    res.json({
+      message: `Response ${status === 'approved' ? 'approved' : 'hidden'} successfully`,
+      response: {
+        id: response._id,
+        status: response.status,
+        moderatedAt: response.moderatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Moderate response error:', error);
+    res.status(500).json({ message: 'Server error moderating response' });
+  }
+});
+
 // @route   GET /api/admin/analytics
 // @desc    Get detailed analytics
 // @access  Private (Admin only)
@@ -590,14 +792,14 @@ router.get('/polls/:id/voters', authenticateToken, requireAdmin, validateMongoId
     votes.forEach(vote => {
       if (votesByOption[vote.optionIndex]) {
         votesByOption[vote.optionIndex].votes.push({
-          voter: {
+          voter: vote.userId ? {
             id: vote.userId._id,
             name: vote.userId.name,
             email: vote.userId.email,
             profilePicture: vote.userId.profilePicture,
             memberSince: vote.userId.createdAt,
             lastLogin: vote.userId.lastLogin
-          },
+          } : { guestId: vote.guestId, name: 'Guest' },
           votedAt: vote.createdAt,
           ipAddress: vote.ipAddress || 'N/A'
         });
@@ -683,11 +885,14 @@ router.get('/polls/:id/analytics', authenticateToken, requireAdmin, validateMong
       }
     ]);
 
+    // Participation is measured against the poll's electorate
+    const turnout = await getTurnout(poll);
+
     // Calculate engagement metrics
     const engagementMetrics = {
       viewToVoteRatio: poll.metadata.views > 0 ? (poll.totalVotes / poll.metadata.views * 100).toFixed(2) : 0,
       averageTimeToVote: 0, // Could be calculated if we track view timestamps
-      completionRate: poll.totalVotes > 0 ? ((poll.uniqueVoters / poll.totalVotes) * 100).toFixed(2) : 0
+      turnout: turnout.turnout
     };
 
     res.json({
@@ -703,12 +908,13 @@ router.get('/polls/:id/analytics', authenticateToken, requireAdmin, validateMong
       metrics: {
         totalVotes: poll.totalVotes,
         uniqueVoters: poll.uniqueVoters,
+        eligibleVoters: turnout.eligibleVoters,
         views: poll.metadata.views,
         engagement: engagementMetrics
       },
       timeline: votingTimeline,
       demographics: voterDemographics,
-      results: poll.getResults()
+      results: await poll.getResults({ revealAnswers: true })
     });
   } catch (error) {
     console.error('Get poll analytics error:', error);
@@ -754,7 +960,7 @@ router.get('/real-time-stats', authenticateToken, requireAdmin, async (req, res)
       recentActivity: {
         votes: recentVotes.map(vote => ({
           id: vote._id,
-          voter: vote.userId.name,
+          voter: vote.userId ? vote.userId.name : 'Guest',
           poll: vote.pollId.title,
           option: vote.optionText,
           timestamp: vote.createdAt
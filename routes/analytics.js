@@ -4,6 +4,9 @@ const Poll = require('../models/Poll');
 const Vote = require('../models/Vote');
 const User = require('../models/User');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateMongoId, validatePagination } = require('../middleware/validation');
+const { getCountedOptions, summarizeOptions } = require('../utils/ballots');
+const { getTurnout, getNonVoters } = require('../utils/turnout');
 
 // Get comprehensive analytics data
 router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
@@ -358,32 +361,42 @@ router.get('/user-analytics', authenticateToken, requireAdmin, async (req, res)
   }
 });
 
-// Get poll option performance
-router.get('/option-performance/:pollId', authenticateToken, requireAdmin, async (req, res) => {
+// Get poll option performance, voters paged per option (page and limit query)
+router.get('/option-performance/:pollId', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
   try {
     const { pollId } = req.params;
+    const { page, limit } = req.query;
     
     const poll = await Poll.findById(pollId);
     if (!poll) {
       return res.status(404).json({ message: 'Poll not found' });
     }
 
-    // Get option performance from poll's options array
-    const totalVotes = poll.totalVotes || 0;
+    // Get option performance from poll's options array; shares follow the poll
+    // type (quadratic votes and points are shares of all votes or points given)
+    const { results } = summarizeOptions(poll, poll.totalVotes || 0);
+    const optionVoters = await poll.getOptionVoters({ page, limit });
     const optionPerformance = poll.options.map((option, index) => ({
       option: option.text,
       voteCount: option.votes || 0,
-      percentage: totalVotes > 0 ? ((option.votes || 0) / totalVotes * 100).toFixed(2) : 0,
-      voters: option.voters?.map(voter => ({
-        userId: voter.userId,
-        votedAt: voter.votedAt
-      })) || []
-    })).sort((a, b) => b.voteCount - a.voteCount);
+      percentage: results[index].percentage,
+      ...(poll.pollType === 'rating' && { ratings: poll.getRatingStatistics(index) }),
+      ...(poll.pollType === 'quadratic' && { credits: option.credits || 0 }),
+      voters: optionVoters[index]
+    }));
+
+    // Rating options are ranked by average score, everything else by vote count
+    if (poll.pollType === 'rating') {
+      optionPerformance.sort((a, b) => (b.ratings.mean ?? -Infinity) - (a.ratings.mean ?? -Infinity));
+    } else {
+      optionPerformance.sort((a, b) => b.voteCount - a.voteCount);
+    }
 
     res.json({
       poll: {
         title: poll.title,
         description: poll.description,
+        pollType: poll.pollType,
         options: poll.options
       },
       optionPerformance
@@ -394,6 +407,68 @@ router.get('/option-performance/:pollId', authenticateToken, requireAdmin, async
   }
 });
 
+// Get turnout against the poll's electorate, with turnout over time
+router.get('/turnout/:pollId', authenticateToken, requireAdmin, validateMongoId('pollId'), async (req, res) => {
+  try {
+    const { interval = 'day' } = req.query;
+    if (!['hour', 'day'].includes(interval)) {
+      return res.status(400).json({ message: 'Interval must be hour or day' });
+    }
+
+    const poll = await Poll.findById(req.params.pollId);
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const turnout = await getTurnout(poll, { interval });
+
+    res.json({
+      poll: {
+        id: poll._id,
+        title: poll.title,
+        status: poll.status,
+        electorate: poll.electorate
+      },
+      totalVotes: poll.totalVotes,
+      uniqueVoters: poll.uniqueVoters,
+      ...turnout
+    });
+  } catch (error) {
+    console.error('Turnout error:', error);
+    res.status(500).json({ message: 'Failed to fetch turnout data' });
+  }
+});
+
+// Get eligible voters who have not voted yet
+router.get('/turnout/:pollId/non-voters', authenticateToken, requireAdmin, validateMongoId('pollId'), validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const poll = await Poll.findById(req.params.pollId);
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const { total, voters } = await getNonVoters(poll, { page, limit });
+
+    res.json({
+      scope: poll.electorate.scope,
+      nonVoters: voters,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalNonVoters: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Non-voters error:', error);
+    res.status(500).json({ message: 'Failed to fetch non-voters' });
+  }
+});
+
 // Get completed polls leaderboard sorted by votes
 router.get('/completed-polls-leaderboard', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -435,4 +510,130 @@ router.get('/completed-polls-leaderboard', authenticateToken, requireAdmin, asyn
   }
 });
 
+// Get per-question survey results with completion, drop-off and branching paths
+router.get('/survey/:pollId', authenticateToken, requireAdmin, validateMongoId('pollId'), async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.pollId);
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (!poll.questions.length) {
+      return res.status(400).json({ message: 'Poll is not a survey or quiz' });
+    }
+
+    const results = await poll.getResults({ revealAnswers: true });
+
+    // How many submissions stopped after each question (answered it but none after it)
+    const lastAnswered = await Vote.aggregate([
+      { $match: { pollId: poll._id } },
+      { $project: { last: { $max: '$answers.questionIndex' } } },
+      { $group: { _id: '$last', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    // Branching: which sequences of questions respondents were actually shown
+    const skipPaths = await Vote.aggregate([
+      { $match: { pollId: poll._id } },
+      { $group: { _id: '$shownQuestions', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 20 }
+    ]);
+    const allQuestions = poll.questions.map((question, index) => index);
+
+    res.json({
+      poll: {
+        id: poll._id,
+        title: poll.title,
+        totalQuestions: poll.questions.length
+      },
+      totalResponses: results.totalVotes,
+      completedResponses: results.completedResponses,
+      completionRate: results.completionRate,
+      questions: results.questions,
+      dropOff: lastAnswered.map(entry => ({
+        lastQuestionIndex: entry._id,
+        responses: entry.count
+      })),
+      skipPaths: skipPaths.map(entry => {
+        const shownQuestions = entry._id || allQuestions;
+        return {
+          shownQuestions,
+          skippedQuestions: allQuestions.filter(index => !shownQuestions.includes(index)),
+          responses: entry.count,
+          percentage: results.totalVotes > 0 ? ((entry.count / results.totalVotes) * 100).toFixed(2) : 0
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Survey analytics error:', error);
+    res.status(500).json({ message: 'Failed to fetch survey analytics' });
+  }
+});
+
+// Cross-tabulate two choice questions of a survey answered in the same submission
+router.get('/survey/:pollId/crosstab', authenticateToken, requireAdmin, validateMongoId('pollId'), async (req, res) => {
+  try {
+    const rowQuestion = parseInt(req.query.rowQuestion);
+    const columnQuestion = parseInt(req.query.columnQuestion);
+
+    const poll = await Poll.findById(req.params.pollId);
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (!poll.questions.length) {
+      return res.status(400).json({ message: 'Poll is not a survey or quiz' });
+    }
+
+    const rowSpec = poll.questions[rowQuestion];
+    const columnSpec = poll.questions[columnQuestion];
+    if (!rowSpec || !columnSpec || rowQuestion === columnQuestion) {
+      return res.status(400).json({ message: 'rowQuestion and columnQuestion must be two different question indexes' });
+    }
+
+    if ([rowSpec, columnSpec].some(spec => ['rating', 'open_text'].includes(spec.questionType))) {
+      return res.status(400).json({ message: 'Cross-tabulation is only available for choice questions' });
+    }
+
+    const ballots = await Vote.find({
+      pollId: poll._id,
+      'answers.questionIndex': { $all: [rowQuestion, columnQuestion] }
+    }).select('answers').lean();
+
+    // matrix[row][column] = submissions choosing both options
+    const matrix = rowSpec.options.map(() => new Array(columnSpec.options.length).fill(0));
+    ballots.forEach(ballot => {
+      const rowAnswer = ballot.answers.find(answer => answer.questionIndex === rowQuestion);
+      const columnAnswer = ballot.answers.find(answer => answer.questionIndex === columnQuestion);
+
+      getCountedOptions(rowAnswer).forEach(rowOption => {
+        getCountedOptions(columnAnswer).forEach(columnOption => {
+          if (matrix[rowOption] && matrix[rowOption][columnOption] !== undefined) {
+            matrix[rowOption][columnOption] += 1;
+          }
+        });
+      });
+    });
+
+    res.json({
+      rowQuestion: {
+        questionIndex: rowQuestion,
+        text: rowSpec.text,
+        options: rowSpec.options.map(option => option.text)
+      },
+      columnQuestion: {
+        questionIndex: columnQuestion,
+        text: columnSpec.text,
+        options: columnSpec.options.map(option => option.text)
+      },
+      matrix,
+      totalResponses: ballots.length
+    });
+  } catch (error) {
+    console.error('Survey crosstab error:', error);
+    res.status(500).json({ message: 'Failed to fetch survey cross-tabulation' });
+  }
+});
+
 module.exports = router;
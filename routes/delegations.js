@@ -0,0 +1,102 @@
+const express = require('express');
+const User = require('../models/User');
+const Delegation = require('../models/Delegation');
+const { authenticateToken } = require('../middleware/auth');
+const { validateDelegation, validateMongoId } = require('../middleware/validation');
+const { isDuplicateKeyError } = require('../utils/transactions');
+
+const router = express.Router();
+
+const formatDelegation = (delegation, field) => ({
+  id: delegation._id,
+  category: delegation.category,
+  [field]: delegation[field] ? {
+    id: delegation[field]._id,
+    name: delegation[field].name,
+    email: delegation[field].email
+  } : null,
+  createdAt: delegation.createdAt,
+  updatedAt: delegation.updatedAt
+});
+
+// @route   GET /api/delegations
+// @desc    Get the current user's delegations and the ones made to them
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const [outgoing, incoming] = await Promise.all([
+      Delegation.find({ delegator: req.user._id }).populate('delegate', 'name email').sort({ category: 1 }),
+      Delegation.find({ delegate: req.user._id }).populate('delegator', 'name email').sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      delegations: outgoing.map(delegation => formatDelegation(delegation, 'delegate')),
+      delegatedToMe: incoming.map(delegation => formatDelegation(delegation, 'delegator'))
+    });
+  } catch (error) {
+    console.error('Get delegations error:', error);
+    res.status(500).json({ message: 'Server error fetching delegations' });
+  }
+});
+
+// @route   PUT /api/delegations
+// @desc    Delegate the current user's vote for a category (or all polls) to another user
+// @access  Private
+router.put('/', authenticateToken, validateDelegation, async (req, res) => {
+  try {
+    const { delegateId } = req.body;
+    const category = req.body.category || null;
+
+    const delegate = await User.findById(delegateId).select('name email isActive');
+    if (!delegate || !delegate.isActive) {
+      return res.status(404).json({ message: 'Delegate not found' });
+    }
+
+    if (delegate._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot delegate your vote to yourself' });
+    }
+
+    if (await Delegation.wouldCreateCycle(req.user._id, delegate._id, category)) {
+      return res.status(400).json({ message: 'This delegation would create a delegation cycle' });
+    }
+
+    const delegation = await Delegation.findOneAndUpdate(
+      { delegator: req.user._id, category },
+      { $set: { delegate: delegate._id } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate('delegate', 'name email');
+
+    res.json({
+      message: category
+        ? `Your ${category} votes are now delegated to ${delegate.name}`
+        : `Your votes are now delegated to ${delegate.name}`,
+      delegation: formatDelegation(delegation, 'delegate')
+    });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return res.status(409).json({ message: 'Delegation was changed by another request, please try again' });
+    }
+    console.error('Set delegation error:', error);
+    res.status(500).json({ message: 'Server error setting delegation' });
+  }
+});
+
+// @route   DELETE /api/delegations/:id
+// @desc    Withdraw one of the current user's delegations
+// @access  Private
+router.delete('/:id', authenticateToken, validateMongoId('id'), async (req, res) => {
+  try {
+    const delegation = await Delegation.findOneAndDelete({ _id: req.params.id, delegator: req.user._id });
+
+    if (!delegation) {
+      return res.status(404).json({ message: 'Delegation not found' });
+    }
+
+    res.json({ message: 'Delegation withdrawn successfully' });
+  } catch (error) {
+    console.error('Delete delegation error:', error);
+    res.status(500).json({ message: 'Server error withdrawing delegation' });
+  }
+});
+
+module.exports = router;
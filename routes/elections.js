@@ -0,0 +1,581 @@
+const express = require('express');
+const Election = require('../models/Election');
+const Poll = require('../models/Poll');
+const Vote = require('../models/Vote');
+const User = require('../models/User');
+const Response = require('../models/Response');
+const { authenticateToken, requireAdmin, requireVoter, optionalAuth } = require('../middleware/auth');
+const {
+  validateElectionCreation,
+  validateElectionUpdate,
+  validateElectionRace,
+  validateElectionBallots,
+  validateMongoId,
+  validatePagination
+} = require('../middleware/validation');
+const { emitNewVote, emitPollUpdate } = require('../utils/websocket');
+const { runAtomically, isDuplicateKeyError } = require('../utils/transactions');
+const { getVoterWeight } = require('../utils/weights');
+const { getElectionTurnout } = require('../utils/turnout');
+const { getGuestId } = require('../utils/guestTokens');
+
+const router = express.Router();
+
+// Election fields that are copied onto every race
+const SHARED_FIELDS = ['startDate', 'endDate', 'eligibility', 'electorate'];
+
+const electionError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const formatRace = (race, ballotStats) => ({
+  id: race._id,
+  title: race.title,
+  description: race.description,
+  pollType: race.pollType,
+  status: race.status,
+  totalOptions: race.options.length,
+  totalVotes: race.totalVotes,
+  uniqueVoters: race.uniqueVoters,
+  ...(ballotStats && { hasUserVoted: ballotStats.has(race._id.toString()) })
+});
+
+// Give every race the election's window and roll, inside a runAtomically unit
+const syncRaces = async (election, races, session) => {
+  for (const race of races) {
+    election.applyTo(race);
+    await race.save({ session });
+  }
+};
+
+// @route   GET /api/elections
+// @desc    Get elections with pagination
+// @access  Public/Private (optional auth)
+router.get('/', optionalAuth, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    // If not admin, only show public elections
+    const filter = {};
+    if (!req.user || req.user.role !== 'admin') {
+      filter.isPublic = true;
+    }
+
+    const [elections, total] = await Promise.all([
+      Election.find(filter)
+        .sort({ startDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .populate('createdBy', 'name email'),
+      Election.countDocuments(filter)
+    ]);
+
+    res.json({
+      elections: elections.map(election => ({
+        ...election.toObject({ virtuals: true }),
+        totalRaces: election.races.length
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalElections: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get elections error:', error);
+    res.status(500).json({ message: 'Server error fetching elections' });
+  }
+});
+
+// @route   GET /api/elections/:id
+// @desc    Get an election with its races (and which ones the user has voted in)
+// @access  Public/Private (optional auth)
+router.get('/:id', validateMongoId('id'), optionalAuth, async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id).populate('createdBy', 'name email');
+
+    if (!election) {
+      return res.status(404).json({ message: 'Election not found' });
+    }
+
+    if (!election.canView(req.user)) {
+      return res.status(403).json({ message: 'Access denied to private election' });
+    }
+
+    const races = await election.getRaces();
+    const ballotStats = req.user
+      ? await Poll.getUserBallotStats(req.user._id, races.map(race => race._id))
+      : null;
+
+    res.json({
+      election: {
+        ...election.toObject({ virtuals: true }),
+        races: races.map(race => formatRace(race, ballotStats))
+      }
+    });
+  } catch (error) {
+    console.error('Get election error:', error);
+    res.status(500).json({ message: 'Server error fetching election' });
+  }
+});
+
+// @route   POST /api/elections
+// @desc    Create an election (races are added afterwards)
+// @access  Private (Admin only)
+router.post('/', authenticateToken, requireAdmin, validateElectionCreation, async (req, res) => {
+  try {
+    const { title, description, startDate, endDate, isPublic, eligibility, electorate } = req.body;
+
+    const election = new Election({
+      title,
+      description,
+      startDate,
+      endDate,
+      isPublic,
+      eligibility,
+      electorate,
+      createdBy: req.user._id
+    });
+    await election.save();
+
+    res.status(201).json({
+      message: 'Election created successfully',
+      election
+    });
+  } catch (error) {
+    console.error('Create election error:', error);
+    res.status(500).json({ message: 'Server error creating election' });
+  }
+});
+
+// @route   PUT /api/elections/:id
+// @desc    Update an election; its window and voter roll are passed on to every race
+// @access  Private (Admin or Election Creator)
+router.put('/:id', authenticateToken, validateMongoId('id'), validateElectionUpdate, async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id);
+
+    if (!election) {
+      return res.status(404).json({ message: 'Election not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && election.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const races = await election.getRaces();
+
+    // Prevent changing who may vote, or from when, once votes are in
+    if (races.some(race => race.totalVotes > 0) && ['startDate', 'eligibility', 'electorate'].some(field => req.body[field])) {
+      return res.status(400).json({
+        message: 'Cannot modify the start date, eligibility or electorate after voting has started'
+      });
+    }
+
+    // Decided races keep the window and roll they were decided under
+    if (races.some(race => race.status === 'completed') && SHARED_FIELDS.some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        message: 'Cannot modify the voting window or voter roll after a race has completed'
+      });
+    }
+
+    // Either date may change alone, so check the pair the election will end up with
+    const startDate = new Date(req.body.startDate !== undefined ? req.body.startDate : election.startDate);
+    const endDate = new Date(req.body.endDate !== undefined ? req.body.endDate : election.endDate);
+    if (endDate <= startDate) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+
+    ['title', 'description', 'isPublic', ...SHARED_FIELDS].forEach(field => {
+      if (req.body[field] !== undefined) {
+        election.set(field, req.body[field]);
+      }
+    });
+
+    await runAtomically(async (session) => {
+      await election.save({ session });
+      await syncRaces(election, races, session);
+    });
+
+    races.forEach(race => emitPollUpdate(race._id.toString(), {
+      title: race.title,
+      status: race.status,
+      updatedBy: req.user.name
+    }));
+
+    res.json({
+      message: 'Election updated successfully',
+      election
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update election error:', error);
+    res.status(500).json({ message: 'Server error updating election' });
+  }
+});
+
+// @route   DELETE /api/elections/:id
+// @desc    Delete an election; its races are kept as standalone polls
+// @access  Private (Admin or Election Creator)
+router.delete('/:id', authenticateToken, validateMongoId('id'), async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id);
+
+    if (!election) {
+      return res.status(404).json({ message: 'Election not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && election.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Prevent deletion if any race has votes (unless admin)
+    const votedRaces = await Poll.countDocuments({ election: election._id, totalVotes: { $gt: 0 } });
+    if (votedRaces > 0 && req.user.role !== 'admin') {
+      return res.status(400).json({ message: 'Cannot delete an election with existing votes' });
+    }
+
+    await runAtomically(async (session) => {
+      await Poll.updateMany({ election: election._id }, { $set: { election: null } }, { session });
+      await Election.deleteOne({ _id: election._id }, { session });
+    });
+
+    res.json({ message: 'Election deleted successfully' });
+  } catch (error) {
+    console.error('Delete election error:', error);
+    res.status(500).json({ message: 'Server error deleting election' });
+  }
+});
+
+// @route   POST /api/elections/:id/races
+// @desc    Add an existing poll to an election as its next race
+// @access  Private (Admin or Election Creator)
+router.post('/:id/races', authenticateToken, validateMongoId('id'), validateElectionRace, async (req, res) => {
+  try {
+    const [election, race] = await Promise.all([
+      Election.findById(req.params.id),
+      Poll.findById(req.body.pollId)
+    ]);
+
+    if (!election) {
+      return res.status(404).json({ message: 'Election not found' });
+    }
+    if (!race) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    // Check permissions on both the election and the poll
+    if (req.user.role !== 'admin' && (election.createdBy.toString() !== req.user._id.toString() ||
+      race.createdBy.toString() !== req.user._id.toString())) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const addResult = election.canAddRace(race);
+    if (!addResult.allowed) {
+      return res.status(400).json({ message: addResult.reason });
+    }
+
+    await runAtomically(async (session) => {
+      // Only a poll that is not in an election yet may be claimed
+      const claimed = await Poll.updateOne(
+        { _id: race._id, election: null },
+        { $set: { election: election._id } },
+        { session }
+      );
+      if (claimed.modifiedCount === 0) {
+        throw electionError('Poll is already a race in an election', 409);
+      }
+
+      election.races.push(race._id);
+      await election.save({ session });
+      await syncRaces(election, [race], session);
+    });
+
+    res.status(201).json({
+      message: 'Race added successfully',
+      race: formatRace(race)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Add election race error:', error);
+    res.status(500).json({ message: 'Server error adding race' });
+  }
+});
+
+// @route   DELETE /api/elections/:id/races/:pollId
+// @desc    Take a race without votes out of an election (the poll itself is kept)
+// @access  Private (Admin or Election Creator)
+router.delete('/:id/races/:pollId', authenticateToken, validateMongoId('id'), validateMongoId('pollId'), async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id);
+
+    if (!election) {
+      return res.status(404).json({ message: 'Election not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && election.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const race = await Poll.findOne({ _id: req.params.pollId, election: election._id });
+    if (!race) {
+      return res.status(404).json({ message: 'Race not found in this election' });
+    }
+
+    if (race.totalVotes > 0) {
+      return res.status(400).json({ message: 'Cannot remove a race that already has votes' });
+    }
+
+    await runAtomically(async (session) => {
+      await Poll.updateOne({ _id: race._id }, { $set: { election: null } }, { session });
+      await Election.updateOne({ _id: election._id }, { $pull: { races: race._id } }, { session });
+    });
+
+    res.json({ message: 'Race removed successfully' });
+  } catch (error) {
+    console.error('Remove election race error:', error);
+    res.status(500).json({ message: 'Server error removing race' });
+  }
+});
+
+// @route   POST /api/elections/:id/ballots
+// @desc    Cast ballots for several races of an election in one submission
+// @access  Private (Voters and Admins)
+router.post('/:id/ballots', authenticateToken, requireVoter, validateMongoId('id'), validateElectionBallots, async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id);
+
+    if (!election) {
+      return res.status(404).json({ message: 'Election not found' });
+    }
+
+    if (!election.isActive) {
+      return res.status(400).json({ message: 'Election is not open for voting' });
+    }
+
+    const { ballots } = req.body;
+    const raceIds = ballots.map(ballot => ballot.pollId);
+    if (new Set(raceIds).size !== raceIds.length) {
+      return res.status(400).json({ message: 'Each race can only be voted on once per submission' });
+    }
+
+    const races = await Poll.find({ _id: { $in: raceIds }, election: election._id });
+    const unknownRaceIds = raceIds.filter(raceId => !races.some(race => race._id.toString() === raceId));
+    if (unknownRaceIds.length > 0) {
+      return res.status(400).json({ message: 'Some ballots are not for races in this election', pollIds: unknownRaceIds });
+    }
+
+    // Every ballot is checked before any is stored: the submission counts in full or not at all
+    const ballotStats = await Poll.getUserBallotStats(req.user._id, races.map(race => race._id));
+    const prepared = [];
+    for (const input of ballots) {
+      const race = races.find(candidate => candidate._id.toString() === input.pollId);
+      const reject = (reason) => res.status(400).json({ message: `${race.title}: ${reason}`, pollId: race._id });
+
+      const canVoteResult = await race.canUserVote(req.user, ballotStats.get(race._id.toString()) || null);
+      if (!canVoteResult.canVote) {
+        return reject(canVoteResult.reason);
+      }
+
+      const ballotResult = race.validateBallot(input);
+      if (!ballotResult.valid) {
+        return reject(ballotResult.reason);
+      }
+      const { ballot } = ballotResult;
+
+      const weight = race.usesWeighting() ? await getVoterWeight(race, req.user) : 1;
+      if (weight <= 0) {
+        return reject('You hold no voting weight in this poll');
+      }
+
+      const vote = new Vote({
+        pollId: race._id,
+        userId: req.user._id,
+        ...ballot,
+        ballotNumber: canVoteResult.nextBallotNumber,
+        weight,
+        isAnonymous: race.settings.anonymousVoting,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent') || '',
+        metadata: {
+          deviceType: req.get('User-Agent')?.includes('Mobile') ? 'mobile' : 'desktop',
+          browser: req.get('User-Agent')?.split(' ')[0] || 'unknown',
+          timestamp: new Date()
+        }
+      });
+
+      prepared.push({
+        race,
+        ballot,
+        vote,
+        weight,
+        // Free-text answers are stored as responses linked from the vote
+        responses: Response.fromBallot(race, ballot, vote),
+        newVoter: canVoteResult.ballotsCast === 0
+      });
+    }
+
+    // Each vote insert goes first so a concurrent duplicate fails before any counter moves
+    const updatedRaces = await runAtomically(async (session, onRollback) => {
+      const updated = [];
+
+      for (const { race, ballot, vote, weight, responses, newVoter } of prepared) {
+        await vote.save({ session });
+        onRollback(() => Vote.deleteOne({ _id: vote._id }));
+
+        if (responses.length > 0) {
+          await Response.insertMany(responses, { session });
+          onRollback(() => Response.deleteMany({ voteId: vote._id }));
+        }
+
+        updated.push(await race.addVote(ballot, { newVoter, weight, session }));
+        onRollback(() => race.removeBallot(vote, { lastBallot: newVoter }));
+
+        await User.updateOne(
+          { _id: req.user._id, 'votedPolls.pollId': { $ne: race._id } },
+          { $push: { votedPolls: { pollId: race._id } } },
+          { session }
+        );
+      }
+
+      return updated;
+    });
+
+    prepared.forEach(({ race, ballot, vote }, index) => {
+      const pollId = race._id.toString();
+      const updatedRace = updatedRaces[index];
+
+      emitNewVote(pollId, {
+        voterName: req.user.name,
+        optionText: ballot.optionText,
+        optionIndex: ballot.optionIndex,
+        ranking: ballot.ranking,
+        selections: ballot.selections,
+        ratings: ballot.ratings,
+        allocations: ballot.allocations,
+        distribution: ballot.distribution,
+        answers: vote.answers,
+        totalVotes: updatedRace.totalVotes,
+        isAnonymous: race.settings.anonymousVoting
+      });
+
+      emitPollUpdate(pollId, {
+        totalVotes: updatedRace.totalVotes,
+        options: updatedRace.options
+      });
+    });
+
+    res.status(201).json({
+      message: `${prepared.length} ballot(s) cast successfully`,
+      electionId: election._id,
+      votes: prepared.map(({ race, ballot, vote }) => ({
+        pollId: race._id,
+        optionIndex: ballot.optionIndex,
+        optionText: ballot.optionText,
+        ranking: ballot.ranking,
+        selections: ballot.selections,
+        ratings: ballot.ratings,
+        allocations: ballot.allocations,
+        distribution: ballot.distribution,
+        answers: ballot.answers,
+        votedAt: vote.createdAt
+      }))
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (isDuplicateKeyError(error)) {
+      return res.status(409).json({ message: 'Your ballots are already being recorded' });
+    }
+    console.error('Cast election ballots error:', error);
+    res.status(500).json({ message: 'Server error casting ballots' });
+  }
+});
+
+// @route   GET /api/elections/:id/results
+// @desc    Get the results of every race the viewer may see
+// @access  Public/Private (each race's own result rules apply)
+router.get('/:id/results', validateMongoId('id'), optionalAuth, async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id);
+
+    if (!election) {
+      return res.status(404).json({ message: 'Election not found' });
+    }
+
+    if (!election.canView(req.user)) {
+      return res.status(403).json({ message: 'Access denied to private election' });
+    }
+
+    const races = await election.getRaces();
+    const guestId = getGuestId(req);
+
+    const results = await Promise.all(races.map(async race => {
+      if (!(await race.canViewResults(req.user, { guestId }))) {
+        return { pollId: race._id, title: race.title, available: false };
+      }
+      return {
+        pollId: race._id,
+        available: true,
+        ...(await race.getResults({ revealAnswers: race.shouldRevealAnswers(req.user) }))
+      };
+    }));
+
+    res.json({
+      election: {
+        id: election._id,
+        title: election.title,
+        startDate: election.startDate,
+        endDate: election.endDate,
+        hasEnded: election.hasEnded
+      },
+      races: results
+    });
+  } catch (error) {
+    console.error('Get election results error:', error);
+    res.status(500).json({ message: 'Server error fetching election results' });
+  }
+});
+
+// @route   GET /api/elections/:id/turnout
+// @desc    Get turnout across the election's shared electorate and per race
+// @access  Private (Admin or Election Creator)
+router.get('/:id/turnout', authenticateToken, validateMongoId('id'), async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id);
+
+    if (!election) {
+      return res.status(404).json({ message: 'Election not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && election.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const races = await election.getRaces();
+    const turnout = await getElectionTurnout(election, races);
+
+    res.json({
+      electionId: election._id,
+      title: election.title,
+      ...turnout
+    });
+  } catch (error) {
+    console.error('Get election turnout error:', error);
+    res.status(500).json({ message: 'Server error fetching election turnout' });
+  }
+});
+
+module.exports = router;
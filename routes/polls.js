@@ -1,14 +1,35 @@
 const express = require('express');
 const Poll = require('../models/Poll');
 const Vote = require('../models/Vote');
+const Response = require('../models/Response');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const VoterWeight = require('../models/VoterWeight');
+const Election = require('../models/Election');
+const { wordFrequencies } = require('../utils/tally');
+const { breakTie } = require('../utils/tieBreak');
+const { getGuestId } = require('../utils/guestTokens');
 const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
 const { validatePoll, validatePollCreation, validatePollUpdate } = require('../middleware/validation');
 const { emitPollCreated, emitPollStatusChange, emitPollUpdate, emitDashboardStats } = require('../utils/websocket');
 const mongoose = require('mongoose');
-const { validateMongoId, validatePagination, validatePollFilters } = require('../middleware/validation');
+const { validateMongoId, validatePagination, validatePollFilters, validateInvitations, validateVoterWeights, validateResultsQuery } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Settings that shape the ballots already cast, fixed once voting has started
+const BALLOT_SETTINGS = ['ratingScale', 'seats', 'creditBudget', 'pointsBudget'];
+
+// Dotted paths for nested settings, so a partial update leaves the other settings as they are
+const toSettingPaths = (settings, prefix = 'settings') =>
+  Object.entries(settings).reduce((paths, [key, value]) => {
+    const path = `${prefix}.${key}`;
+    return value && typeof value === 'object' && !Array.isArray(value)
+      ? { ...paths, ...toSettingPaths(value, path) }
+      : { ...paths, [path]: value };
+  }, {});
+
 // Test route to check polls in database
 router.get('/test-db', async (req, res) => {
   try {
@@ -86,15 +107,19 @@ router.get('/', optionalAuth, validatePagination, validatePollFilters, async (re
 
     // Debug output removed for cleaner terminal
 
-    // Add user voting status if authenticated
-    const pollsWithVoteStatus = polls.map(poll => {
-      const pollObj = poll.toObject();
+    // Add user voting status if authenticated (one ballot lookup for the whole page)
+    const ballotStats = req.user
+      ? await Poll.getUserBallotStats(req.user._id, polls.map(poll => poll._id))
+      : new Map();
+    const pollsWithVoteStatus = await Promise.all(polls.map(async poll => {
+      const pollObj = poll.toViewerObject(req.user);
       if (req.user) {
-        pollObj.hasUserVoted = poll.votedUsers.includes(req.user._id);
-        pollObj.canUserVote = poll.canUserVote(req.user._id);
+        const stats = ballotStats.get(poll._id.toString()) || null;
+        pollObj.hasUserVoted = !!stats;
+        pollObj.canUserVote = await poll.canUserVote(req.user, stats);
       }
       return pollObj;
-    });
+    }));
 
     res.json({
       polls: pollsWithVoteStatus,
@@ -117,9 +142,12 @@ router.get('/', optionalAuth, validatePagination, validatePollFilters, async (re
 // @access  Public
 router.get('/active', optionalAuth, async (req, res) => {
   try {
-    // Build filter for active polls
+    // Build filter for active polls (the scheduler may not have closed just-expired ones yet)
+    const now = new Date();
     const filter = {
-      status: 'active'
+      status: 'active',
+      startDate: { $lte: now },
+      endDate: { $gt: now }
     };
     
     // If not admin, only show public polls
@@ -129,14 +157,18 @@ router.get('/active', optionalAuth, async (req, res) => {
     
     const activePolls = await Poll.find(filter).populate('createdBy', 'name email');
     
-    const pollsWithVoteStatus = activePolls.map(poll => {
-      const pollObj = poll.toObject();
+    const ballotStats = req.user
+      ? await Poll.getUserBallotStats(req.user._id, activePolls.map(poll => poll._id))
+      : new Map();
+    const pollsWithVoteStatus = await Promise.all(activePolls.map(async poll => {
+      const pollObj = poll.toViewerObject(req.user);
       if (req.user) {
-        pollObj.hasUserVoted = poll.votedUsers.includes(req.user._id);
-        pollObj.canUserVote = poll.canUserVote(req.user._id);
+        const stats = ballotStats.get(poll._id.toString()) || null;
+        pollObj.hasUserVoted = !!stats;
+        pollObj.canUserVote = await poll.canUserVote(req.user, stats);
       }
       return pollObj;
-    });
+    }));
 
     res.json({ polls: pollsWithVoteStatus });
   } catch (error) {
@@ -152,7 +184,7 @@ router.get('/trending', async (req, res) => {
   try {
     const { limit = 10 } = req.query;
     const trendingPolls = await Poll.getTrendingPolls(parseInt(limit));
-    res.json({ polls: trendingPolls });
+    res.json({ polls: trendingPolls.map(poll => poll.toViewerObject()) });
   } catch (error) {
     console.error('Get trending polls error:', error);
     res.status(500).json({ message: 'Server error fetching trending polls' });
@@ -162,9 +194,9 @@ router.get('/trending', async (req, res) => {
 // @route   GET /api/polls/:id
 // @desc    Get single poll by ID
 // @access  Public/Private (optional auth)
-router.get('/:id', validateMongoId('id'), optionalAuth, async (req, res) => {
+router.get('/:id', validateMongoId('id'), validatePagination, optionalAuth, async (req, res) => {
   try {
-    const { includeVoters } = req.query;
+    const { includeVoters, page, limit } = req.query;
     const poll = await Poll.findById(req.params.id)
       .populate('createdBy', 'name email');
 
@@ -172,16 +204,24 @@ router.get('/:id', validateMongoId('id'), optionalAuth, async (req, res) => {
       return res.status(404).json({ message: 'Poll not found' });
     }
 
-    // Check if user can view this poll
+    // Check if user can view this poll (invitees see private polls via their token or account)
     if (!poll.isPublic && (!req.user || req.user.role !== 'admin')) {
-      return res.status(403).json({ message: 'Access denied to private poll' });
+      const { token } = req.query;
+      const isCreator = req.user && poll.createdBy._id.toString() === req.user._id.toString();
+      const invitation = token ? await Invitation.findByToken(poll._id, token) : null;
+      const isInvited = (invitation && invitation.status !== 'revoked') ||
+        (req.user && await Invitation.isInvited(poll._id, req.user));
+
+      if (!isCreator && !isInvited) {
+        return res.status(403).json({ message: 'Access denied to private poll' });
+      }
     }
 
     // Increment view count
     poll.metadata.views += 1;
     await poll.save();
 
-    const pollObj = poll.toObject();
+    const pollObj = poll.toViewerObject(req.user);
     
     // Add user-specific data if authenticated
     if (req.user) {
@@ -195,17 +235,29 @@ router.get('/:id', validateMongoId('id'), optionalAuth, async (req, res) => {
       pollObj.userVote = userVote ? {
         optionIndex: userVote.optionIndex,
         optionText: userVote.optionText,
+        ranking: userVote.ranking,
+        selections: userVote.selections,
+        ratings: userVote.ratings,
+        allocations: userVote.allocations,
+        distribution: userVote.distribution,
+        answers: userVote.answers,
+        ...(poll.pollType === 'quiz' && poll.shouldRevealAnswers(req.user) && {
+          score: userVote.score,
+          maxScore: userVote.maxScore,
+          correctQuestions: userVote.correctQuestions
+        }),
         votedAt: userVote.createdAt
       } : null;
       
       // Check if user can vote
-      pollObj.canUserVote = poll.canUserVote(req.user._id);
+      pollObj.canUserVote = await poll.canUserVote(req.user);
       
-      // If includeVoters is true, add voter information to each option
+      // If includeVoters is true, add a page of voters to each option (page and limit query)
       if (includeVoters === 'true' && req.user.role === 'admin') {
-        pollObj.options = poll.options.map(option => ({
+        const optionVoters = await poll.getOptionVoters({ page, limit });
+        pollObj.options = poll.options.map((option, index) => ({
           ...option.toObject(),
-          voters: option.voters || []
+          voters: optionVoters[index]
         }));
       }
     }
@@ -228,6 +280,7 @@ router.post('/', authenticateToken, requireAdmin, validatePollCreation, async (r
     };
 
     const poll = new Poll(pollData);
+    poll.syncStatusToWindow();
     await poll.save();
 
     const populatedPoll = await poll.populate('createdBy', 'name email');
@@ -241,7 +294,8 @@ router.post('/', authenticateToken, requireAdmin, validatePollCreation, async (r
       description: poll.description,
       createdBy: req.user.name,
       status: poll.status,
-      totalOptions: poll.options.length
+      totalOptions: poll.options.length,
+      totalQuestions: poll.questions.length
     });
 
     res.status(201).json({
@@ -249,6 +303,9 @@ router.post('/', authenticateToken, requireAdmin, validatePollCreation, async (r
       poll: populatedPoll
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Create poll error:', error);
     res.status(500).json({ message: 'Server error creating poll' });
   }
@@ -270,23 +327,36 @@ router.put('/:id', authenticateToken, validateMongoId('id'), validatePollUpdate,
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Races take their voting window and voter roll from their election
+    if (poll.election && ['startDate', 'endDate', 'eligibility', 'electorate', 'inviteOnly', 'requireAuth']
+      .some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        message: 'The voting window and voter roll of a race are set by its election'
+      });
+    }
+
     // Prevent updating certain fields if poll has votes
     if (poll.totalVotes > 0) {
-      const restrictedFields = ['options'];
-      const hasRestrictedUpdates = restrictedFields.some(field => req.body[field]);
+      const restrictedFields = ['options', 'questions', 'pollType', 'eligibility', 'weighting', 'decision', 'tieBreak'];
+      const hasRestrictedUpdates = restrictedFields.some(field => req.body[field] !== undefined) ||
+        (req.body.settings && BALLOT_SETTINGS.some(field => req.body.settings[field] !== undefined));
       
       if (hasRestrictedUpdates) {
         return res.status(400).json({ 
-          message: 'Cannot modify poll options after voting has started' 
+          message: 'Cannot modify poll options, questions, type, eligibility, weighting, decision, tie-break rules, rating scale, seats or budgets after voting has started' 
         });
       }
     }
 
-    const updatedPoll = await Poll.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name email');
+    // Saved through the document so the schema's validate and save hooks run
+    const { settings, ...fields } = req.body;
+    poll.set(fields);
+    if (settings && typeof settings === 'object') {
+      poll.set(toSettingPaths(settings));
+    }
+    poll.syncStatusToWindow();
+    await poll.save();
+    const updatedPoll = await poll.populate('createdBy', 'name email');
 
     // Emit real-time poll update
     emitPollUpdate(updatedPoll._id.toString(), {
@@ -306,6 +376,12 @@ router.put('/:id', authenticateToken, validateMongoId('id'), validatePollUpdate,
       poll: updatedPoll
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Update poll error:', error);
     res.status(500).json({ message: 'Server error updating poll' });
   }
@@ -343,8 +419,14 @@ router.delete('/:id', authenticateToken, validateMongoId('id'), async (req, res)
 
     await Poll.findByIdAndDelete(req.params.id);
     
-    // Also delete associated votes
+    // Also delete associated votes, free-text responses, invitations and voter weights
     await Vote.deleteMany({ pollId: req.params.id });
+    await Response.deleteMany({ pollId: req.params.id });
+    await Invitation.deleteMany({ pollId: req.params.id });
+    await VoterWeight.deleteMany({ pollId: req.params.id });
+    if (poll.election) {
+      await Election.updateOne({ _id: poll.election }, { $pull: { races: poll._id } });
+    }
 
     // Emit real-time notification about poll deletion
     const { emitPollDeleted } = require('../utils/websocket');
@@ -362,9 +444,9 @@ router.delete('/:id', authenticateToken, validateMongoId('id'), async (req, res)
 });
 
 // @route   GET /api/polls/:id/results
-// @desc    Get poll results
+// @desc    Get poll results (ranked polls: ?method=condorcet|schulze|ranked_pairs adds a pairwise count)
 // @access  Public/Private (depends on poll settings)
-router.get('/:id/results', validateMongoId('id'), optionalAuth, async (req, res) => {
+router.get('/:id/results', validateMongoId('id'), validateResultsQuery, optionalAuth, async (req, res) => {
   try {
     const poll = await Poll.findById(req.params.id);
 
@@ -373,19 +455,18 @@ router.get('/:id/results', validateMongoId('id'), optionalAuth, async (req, res)
     }
 
     // Check if user can view results
-    const canViewResults = 
-      poll.hasEnded || 
-      poll.showResultsBeforeEnd ||
-      (req.user && poll.votedUsers.includes(req.user._id) && poll.showResultsAfterVoting) ||
-      (req.user && req.user.role === 'admin');
-
-    if (!canViewResults) {
+    if (!(await poll.canViewResults(req.user, { guestId: getGuestId(req) }))) {
       return res.status(403).json({ 
         message: 'Results not available yet' 
       });
     }
 
-    const results = poll.getResults();
+    const { method } = req.query;
+    if (method && poll.pollType !== 'ranked') {
+      return res.status(400).json({ message: 'Pairwise results are only available for ranked polls' });
+    }
+
+    const results = await poll.getResults({ revealAnswers: poll.shouldRevealAnswers(req.user), method });
     res.json({ results });
   } catch (error) {
     console.error('Get poll results error:', error);
@@ -393,6 +474,524 @@ router.get('/:id/results', validateMongoId('id'), optionalAuth, async (req, res)
   }
 });
 
+// @route   GET /api/polls/:id/responses
+// @desc    Get free-text responses for an open text poll or survey question
+// @access  Public/Private (same rules as results; status filter for admins and creator)
+router.get('/:id/responses', validateMongoId('id'), optionalAuth, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, questionIndex, status } = req.query;
+
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (!(await poll.canViewResults(req.user, { guestId: getGuestId(req) }))) {
+      return res.status(403).json({ 
+        message: 'Results not available yet' 
+      });
+    }
+
+    const filter = { pollId: poll._id, questionIndex: null, status: 'approved' };
+
+    if (questionIndex !== undefined) {
+      const question = poll.questions[Number(questionIndex)];
+      if (!question || question.questionType !== 'open_text') {
+        return res.status(400).json({ message: 'questionIndex must reference an open text question' });
+      }
+      filter.questionIndex = Number(questionIndex);
+    } else if (poll.pollType !== 'open_text') {
+      return res.status(400).json({ message: 'Poll does not collect open text responses' });
+    }
+
+    // Moderators may browse pending and hidden responses too
+    const canModerate = req.user &&
+      (req.user.role === 'admin' || poll.createdBy.toString() === req.user._id.toString());
+    if (status && status !== 'approved') {
+      if (!canModerate) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      if (!['pending', 'hidden', 'all'].includes(status)) {
+        return res.status(400).json({ message: 'Invalid status filter' });
+      }
+      if (status === 'all') {
+        delete filter.status;
+      } else {
+        filter.status = status;
+      }
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [responses, total, allResponses] = await Promise.all([
+      Response.find(filter)
+        .select('text status questionIndex createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Response.countDocuments(filter),
+      Response.find(filter).select('text').lean()
+    ]);
+
+    res.json({
+      responses: responses.map(response => ({
+        id: response._id,
+        text: response.text,
+        questionIndex: response.questionIndex,
+        status: canModerate ? response.status : undefined,
+        submittedAt: response.createdAt
+      })),
+      wordFrequencies: wordFrequencies(allResponses.map(response => response.text)),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalResponses: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get poll responses error:', error);
+    res.status(500).json({ message: 'Server error fetching responses' });
+  }
+});
+
+// Build the link an invitee opens to vote with their ballot token
+const getBallotLink = (pollId, token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/polls/${pollId}?token=${encodeURIComponent(token)}`;
+
+// @route   GET /api/polls/:id/eligibility
+// @desc    Get a poll's eligibility rules and how many accounts they admit
+// @access  Private (Admin or Poll Creator)
+router.get('/:id/eligibility', authenticateToken, validateMongoId('id'), async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && poll.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const eligibleVoters = await poll.countEligibleVoters();
+
+    res.json({
+      eligibility: poll.eligibility,
+      eligibleVoters,
+      uniqueVoters: poll.uniqueVoters
+    });
+  } catch (error) {
+    console.error('Get poll eligibility error:', error);
+    res.status(500).json({ message: 'Server error fetching poll eligibility' });
+  }
+});
+
+// @route   POST /api/polls/:id/weights
+// @desc    Import or update rows of a poll's voter weight table
+// @access  Private (Admin or Poll Creator)
+router.post('/:id/weights', authenticateToken, validateMongoId('id'), validateVoterWeights, async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && poll.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (poll.weighting.mode !== 'table') {
+      return res.status(400).json({ message: 'Weight tables are only used by polls weighted by table' });
+    }
+
+    // Ballots are weighted when cast, so the table is frozen once voting starts
+    if (poll.totalVotes > 0) {
+      return res.status(400).json({ message: 'Cannot change voter weights after voting has started' });
+    }
+
+    const { entries } = req.body;
+    const userIds = [...new Set(entries.filter(entry => entry.userId).map(entry => entry.userId))];
+    const users = await User.find({ _id: { $in: userIds } }).select('_id');
+    const unknownUserIds = userIds.filter(userId => !users.some(user => user._id.toString() === userId));
+    if (unknownUserIds.length > 0) {
+      return res.status(400).json({ message: 'Some user IDs do not exist', userIds: unknownUserIds });
+    }
+
+    // Later rows for the same voter replace earlier ones
+    const result = await VoterWeight.bulkWrite(entries.map(({ email, userId, weight, label }) => {
+      const filter = userId
+        ? { pollId: poll._id, userId }
+        : { pollId: poll._id, email: email.trim().toLowerCase() };
+      return {
+        updateOne: {
+          filter,
+          update: { $set: { weight, label } },
+          upsert: true
+        }
+      };
+    }), { ordered: true });
+
+    res.json({
+      message: 'Voter weights imported successfully',
+      created: result.upsertedCount,
+      updated: result.matchedCount
+    });
+  } catch (error) {
+    console.error('Import voter weights error:', error);
+    res.status(500).json({ message: 'Server error importing voter weights' });
+  }
+});
+
+// @route   GET /api/polls/:id/weights
+// @desc    Get a poll's voter weight table
+// @access  Private (Admin or Poll Creator)
+router.get('/:id/weights', authenticateToken, validateMongoId('id'), validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && poll.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const filter = { pollId: poll._id };
+    const skip = (page - 1) * limit;
+
+    const [weights, total] = await Promise.all([
+      VoterWeight.find(filter)
+        .populate('userId', 'name email')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      VoterWeight.countDocuments(filter)
+    ]);
+
+    res.json({
+      weighting: poll.weighting,
+      weights: weights.map(row => ({
+        id: row._id,
+        email: row.email || (row.userId && row.userId.email),
+        user: row.userId ? { id: row.userId._id, name: row.userId.name } : null,
+        weight: row.weight,
+        label: row.label
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalWeights: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get voter weights error:', error);
+    res.status(500).json({ message: 'Server error fetching voter weights' });
+  }
+});
+
+// @route   POST /api/polls/:id/invitations
+// @desc    Add voters to an invite-only poll's roll and generate their ballot tokens
+// @access  Private (Admin or Poll Creator)
+router.post('/:id/invitations', authenticateToken, validateMongoId('id'), validateInvitations, async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && poll.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!poll.inviteOnly) {
+      return res.status(400).json({ message: 'Invitations are only available for invite-only polls' });
+    }
+
+    const emails = [...new Set((req.body.emails || []).map(email => email.trim().toLowerCase()))];
+    const userIds = [...new Set(req.body.userIds || [])];
+
+    if (emails.length === 0 && userIds.length === 0) {
+      return res.status(400).json({ message: 'Provide at least one email or user ID' });
+    }
+
+    const users = await User.find({ _id: { $in: userIds } }).select('email');
+    const unknownUserIds = userIds.filter(userId => !users.some(user => user._id.toString() === userId));
+    if (unknownUserIds.length > 0) {
+      return res.status(400).json({ message: 'Some user IDs do not exist', userIds: unknownUserIds });
+    }
+
+    // Voters already on the roll keep their existing token
+    const existing = await Invitation.find({
+      pollId: poll._id,
+      $or: [{ email: { $in: emails } }, { userId: { $in: userIds } }]
+    }).select('email userId');
+    const isListed = (field, value) => existing.some(invitation => invitation[field] && invitation[field].toString() === value);
+
+    const entries = [
+      ...emails.filter(email => !isListed('email', email)).map(email => ({ email })),
+      ...userIds.filter(userId => !isListed('userId', userId)).map(userId => ({ userId }))
+    ];
+
+    const created = [];
+    const invitations = entries.map(entry => {
+      const { token, tokenHash } = Invitation.generateToken();
+      const invitation = new Invitation({ ...entry, pollId: poll._id, tokenHash, invitedBy: req.user._id });
+      created.push({ invitation, token });
+      return invitation;
+    });
+
+    if (invitations.length > 0) {
+      await Invitation.insertMany(invitations);
+    }
+
+    // Tokens are only shown here; the database keeps their hashes
+    res.status(201).json({
+      message: `${created.length} invitation(s) created`,
+      invitations: created.map(({ invitation, token }) => ({
+        id: invitation._id,
+        email: invitation.email,
+        userId: invitation.userId,
+        token,
+        link: getBallotLink(poll._id, token)
+      })),
+      skipped: emails.length + userIds.length - entries.length
+    });
+  } catch (error) {
+    console.error('Create invitations error:', error);
+    res.status(500).json({ message: 'Server error creating invitations' });
+  }
+});
+
+// @route   GET /api/polls/:id/invitations
+// @desc    Get a poll's voter roll and token usage
+// @access  Private (Admin or Poll Creator)
+router.get('/:id/invitations', authenticateToken, validateMongoId('id'), validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && poll.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const filter = { pollId: poll._id };
+    if (status) {
+      if (!['pending', 'used', 'revoked'].includes(status)) {
+        return res.status(400).json({ message: 'Invalid status filter' });
+      }
+      filter.status = status;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [invitations, total, statusCounts] = await Promise.all([
+      Invitation.find(filter)
+        .populate('userId', 'name email')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Invitation.countDocuments(filter),
+      Invitation.aggregate([
+        { $match: { pollId: poll._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = { pending: 0, used: 0, revoked: 0 };
+    statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.json({
+      invitations: invitations.map(invitation => ({
+        id: invitation._id,
+        email: invitation.email || (invitation.userId && invitation.userId.email),
+        user: invitation.userId ? { id: invitation.userId._id, name: invitation.userId.name } : null,
+        status: invitation.status,
+        usedAt: invitation.usedAt,
+        invitedAt: invitation.createdAt
+      })),
+      summary: {
+        ...counts,
+        total: counts.pending + counts.used + counts.revoked
+      },
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalInvitations: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Server error fetching invitations' });
+  }
+});
+
+// @route   POST /api/polls/:id/invitations/:invitationId/regenerate
+// @desc    Replace an unused ballot token (e.g. when the link was lost)
+// @access  Private (Admin or Poll Creator)
+router.post('/:id/invitations/:invitationId/regenerate', authenticateToken, validateMongoId('id'), validateMongoId('invitationId'), async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && poll.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { token, tokenHash } = Invitation.generateToken();
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.invitationId, pollId: poll._id, status: 'pending' },
+      { $set: { tokenHash } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'No unused invitation found' });
+    }
+
+    res.json({
+      message: 'Ballot token regenerated successfully',
+      invitation: {
+        id: invitation._id,
+        email: invitation.email,
+        userId: invitation.userId,
+        token,
+        link: getBallotLink(poll._id, token)
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate invitation error:', error);
+    res.status(500).json({ message: 'Server error regenerating invitation' });
+  }
+});
+
+// @route   DELETE /api/polls/:id/invitations/:invitationId
+// @desc    Revoke an unused ballot token
+// @access  Private (Admin or Poll Creator)
+router.delete('/:id/invitations/:invitationId', authenticateToken, validateMongoId('id'), validateMongoId('invitationId'), async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && poll.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.invitationId, pollId: poll._id, status: 'pending' },
+      { $set: { status: 'revoked' } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'No unused invitation found' });
+    }
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error revoking invitation' });
+  }
+});
+
+// @route   POST /api/polls/:id/tie-break
+// @desc    Break a tie for first place in an ended poll (pick the winner for 'creator' polls)
+// @access  Private (Admin or Poll Creator)
+router.post('/:id/tie-break', authenticateToken, validateMongoId('id'), async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && poll.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const optionIndex = req.body.optionIndex === undefined ? undefined : parseInt(req.body.optionIndex);
+    const { poll: updatedPoll, runoff } = await breakTie(poll, { actor: req.user._id, optionIndex });
+
+    res.json({
+      message: runoff ? 'Runoff poll created to break the tie' : 'Tie broken successfully',
+      tieBreak: updatedPoll.describeTieBreak(),
+      outcome: (await updatedPoll.getResults({ revealAnswers: true })).outcome,
+      runoff: runoff ? { id: runoff._id, title: runoff.title, endDate: runoff.endDate } : null
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Break tie error:', error);
+    res.status(500).json({ message: 'Server error breaking tie' });
+  }
+});
+
+// @route   GET /api/polls/:id/audit-log
+// @desc    Get the audit trail of decisions taken on a poll
+// @access  Private (Admin or Poll Creator)
+router.get('/:id/audit-log', authenticateToken, validateMongoId('id'), async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && poll.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const entries = await AuditLog.find({ pollId: poll._id })
+      .populate('actor', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      entries: entries.map(entry => ({
+        id: entry._id,
+        action: entry.action,
+        actor: entry.actor ? { id: entry.actor._id, name: entry.actor.name } : null,
+        details: entry.details,
+        createdAt: entry.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get poll audit log error:', error);
+    res.status(500).json({ message: 'Server error fetching poll audit log' });
+  }
+});
+
 // @route   POST /api/polls/:id/toggle-status
 // @desc    Toggle poll status (activate/deactivate)
 // @access  Private (Admin or Poll Creator)
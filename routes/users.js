@@ -173,10 +173,11 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
     const allPolls = await Poll.find({}).populate('createdBy', 'name').sort({ createdAt: -1 });
     
     // Get active polls user hasn't voted on
+    const votedPollIds = await Vote.distinct('pollId', { userId: user._id });
     const activePolls = await Poll.find({
       status: 'active',
       isPublic: true,
-      votedUsers: { $ne: user._id }
+      _id: { $nin: votedPollIds }
     })
     .populate('createdBy', 'name')
     .sort({ createdAt: -1 })
@@ -258,11 +259,15 @@ router.put('/preferences', authenticateToken, async (req, res) => {
 });
 
 // @route   GET /api/users/leaderboard
-// @desc    Get voting leaderboard
+// @desc    Get voting leaderboard (metric=votes for vote count, metric=quiz for quiz points)
 // @access  Private
 router.get('/leaderboard', authenticateToken, async (req, res) => {
   try {
-    const { limit = 10, period = 'all' } = req.query;
+    const { limit = 10, period = 'all', metric = 'votes' } = req.query;
+
+    if (!['votes', 'quiz'].includes(metric)) {
+      return res.status(400).json({ message: 'Metric must be votes or quiz' });
+    }
 
     let matchStage = {};
     
@@ -285,14 +290,43 @@ router.get('/leaderboard', authenticateToken, async (req, res) => {
       }
     }
 
-    const leaderboard = await Vote.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: '$userId',
-          voteCount: { $sum: 1 }
+    // Stages producing one document per user with the score being ranked
+    let scoreStages;
+    let scoreField;
+    if (metric === 'quiz') {
+      // Only quizzes that have ended count, so points never hint at answers still hidden
+      const now = new Date();
+      scoreField = 'quizPoints';
+      scoreStages = [
+        { $match: { ...matchStage, score: { $exists: true } } },
+        { $lookup: { from: 'polls', localField: 'pollId', foreignField: '_id', as: 'poll' } },
+        { $unwind: '$poll' },
+        { $match: { $or: [{ 'poll.endDate': { $lte: now } }, { 'poll.status': 'completed' }] } },
+        {
+          $group: {
+            _id: '$userId',
+            quizPoints: { $sum: '$score' },
+            maxPoints: { $sum: '$maxScore' },
+            quizzesTaken: { $sum: 1 },
+            voteCount: { $sum: 1 }
+          }
         }
-      },
+      ];
+    } else {
+      scoreField = 'voteCount';
+      scoreStages = [
+        { $match: matchStage },
+        {
+          $group: {
+            _id: '$userId',
+            voteCount: { $sum: 1 }
+          }
+        }
+      ];
+    }
+
+    const leaderboard = await Vote.aggregate([
+      ...scoreStages,
       {
         $lookup: {
           from: 'users',
@@ -306,27 +340,24 @@ router.get('/leaderboard', authenticateToken, async (req, res) => {
         $project: {
           name: '$user.name',
           voteCount: 1,
+          quizPoints: 1,
+          maxPoints: 1,
+          quizzesTaken: 1,
           joinDate: '$user.createdAt'
         }
       },
-      { $sort: { voteCount: -1 } },
+      { $sort: { [scoreField]: -1 } },
       { $limit: parseInt(limit) }
     ]);
 
     // Add current user's rank if not in top list
     const currentUserRank = await Vote.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: '$userId',
-          voteCount: { $sum: 1 }
-        }
-      },
-      { $sort: { voteCount: -1 } },
+      ...scoreStages,
+      { $sort: { [scoreField]: -1 } },
       {
         $group: {
           _id: null,
-          users: { $push: { userId: '$_id', voteCount: '$voteCount' } }
+          users: { $push: { userId: '$_id', score: `$${scoreField}` } }
         }
       },
       {
@@ -334,9 +365,9 @@ router.get('/leaderboard', authenticateToken, async (req, res) => {
           rank: {
             $indexOfArray: ['$users.userId', req.user._id]
           },
-          userVotes: {
+          userScore: {
             $arrayElemAt: [
-              '$users.voteCount',
+              '$users.score',
               { $indexOfArray: ['$users.userId', req.user._id] }
             ]
           }
@@ -344,23 +375,30 @@ router.get('/leaderboard', authenticateToken, async (req, res) => {
       }
     ]);
 
-    const userRank = currentUserRank.length > 0 ? {
-      rank: currentUserRank[0].rank + 1,
-      votes: currentUserRank[0].userVotes || 0
-    } : { rank: null, votes: 0 };
+    const hasRank = currentUserRank.length > 0 && currentUserRank[0].rank >= 0;
+    const userRank = {
+      rank: hasRank ? currentUserRank[0].rank + 1 : null,
+      [metric === 'quiz' ? 'quizPoints' : 'votes']: hasRank ? currentUserRank[0].userScore || 0 : 0
+    };
 
     res.json({
       leaderboard: leaderboard.map((entry, index) => ({
         rank: index + 1,
         name: entry.name,
         voteCount: entry.voteCount,
+        ...(metric === 'quiz' && {
+          quizPoints: entry.quizPoints,
+          maxPoints: entry.maxPoints,
+          quizzesTaken: entry.quizzesTaken
+        }),
         joinDate: entry.joinDate
       })),
       currentUser: {
         ...userRank,
         name: req.user.name
       },
-      period
+      period,
+      metric
     });
   } catch (error) {
     console.error('Get leaderboard error:', error);
@@ -1,21 +1,69 @@
 const express = require('express');
 const Vote = require('../models/Vote');
+const User = require('../models/User');
 const Poll = require('../models/Poll');
-const { authenticateToken, requireVoter } = require('../middleware/auth');
+const Response = require('../models/Response');
+const Invitation = require('../models/Invitation');
+const { authenticateToken, requireVoter, optionalAuth } = require('../middleware/auth');
 const { validateVote, validatePagination, validateMongoId } = require('../middleware/validation');
 const { emitNewVote, emitPollUpdate } = require('../utils/websocket');
+const { runAtomically, isDuplicateKeyError } = require('../utils/transactions');
+const { issueGuestToken, getGuestId, setGuestCookie } = require('../utils/guestTokens');
+const { getVoterWeight } = require('../utils/weights');
 const mongoose = require('mongoose');
 
 const router = express.Router();
 
+// Vote fields that make up a ballot, cleared before a changed ballot is stored
+const BALLOT_FIELDS = [
+  'optionIndex', 'optionText', 'ranking', 'selections', 'ratings', 'allocations', 'creditsSpent',
+  'distribution', 'answers', 'shownQuestions', 'score', 'maxScore', 'correctQuestions', 'responseId'
+];
+
+// Remove a stored vote along with its counts, responses and the voter's
+// poll membership when it was their last ballot. Resolves to the updated poll.
+const withdrawVote = (vote, poll) => runAtomically(async (session, onRollback) => {
+  await Vote.deleteOne({ _id: vote._id }, { session });
+  onRollback(() => Vote.collection.insertOne(vote.toObject()));
+
+  const userOtherVotes = await Vote.countDocuments(vote.getVoterFilter()).session(session);
+
+  if (userOtherVotes === 0 && vote.userId) {
+    await User.updateOne(
+      { _id: vote.userId },
+      { $pull: { votedPolls: { pollId: vote.pollId } } },
+      { session }
+    );
+    onRollback(() => User.updateOne(
+      { _id: vote.userId, 'votedPolls.pollId': { $ne: vote.pollId } },
+      { $push: { votedPolls: { pollId: vote.pollId } } }
+    ));
+  }
+
+  let updatedPoll = null;
+  if (poll) {
+    // Reverse the ballot's option counts, the poll total and the voter count
+    const lastBallot = userOtherVotes === 0;
+    updatedPoll = await poll.removeBallot(vote, { lastBallot, session });
+    onRollback(() => poll.addVote(vote, { newVoter: lastBallot, weight: vote.weight }));
+  }
+
+  await Response.deleteMany({ voteId: vote._id }, { session });
+
+  return updatedPoll;
+});
+
 // @route   POST /api/votes/:pollId
 // @desc    Cast a vote for a poll
 // @access  Private (Voters and Admins)
-router.post('/:pollId', authenticateToken, requireVoter, validateVote, async (req, res) => {
+router.post('/:pollId', optionalAuth, validateVote, async (req, res) => {
   try {
     const { pollId } = req.params;
-    const { optionIndex } = req.body;
-    const userId = req.user._id;
+    const userId = req.user ? req.user._id : undefined;
+
+    if (req.user && req.user.role !== 'voter' && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Voter access required' });
+    }
 
     // Find the poll
     const poll = await Poll.findById(pollId);
@@ -23,27 +71,80 @@ router.post('/:pollId', authenticateToken, requireVoter, validateVote, async (re
       return res.status(404).json({ message: 'Poll not found' });
     }
 
-    // Check if user can vote
-    const canVoteResult = poll.canUserVote(userId);
+    // Invite-only polls: the ballot token is checked here and redeemed with the vote
+    const { ballotToken } = req.body;
+    let invitation = null;
+    if (poll.inviteOnly) {
+      if (!ballotToken) {
+        return res.status(403).json({ message: 'A ballot token is required to vote in this poll' });
+      }
+
+      invitation = await Invitation.findByToken(poll._id, ballotToken);
+      if (!invitation || invitation.status === 'revoked') {
+        return res.status(403).json({ message: 'Invalid ballot token' });
+      }
+      if (invitation.status === 'used') {
+        return res.status(400).json({ message: 'This ballot token has already been used' });
+      }
+      if (req.user && invitation.userId && !invitation.userId.equals(req.user._id)) {
+        return res.status(403).json({ message: 'This ballot token belongs to another voter' });
+      }
+    }
+
+    // A ballot token stands in for signing in
+    if (!req.user && poll.requireAuth && !invitation) {
+      return res.status(401).json({ message: 'Access token required' });
+    }
+
+    // Guests keep the id from their signed token, first-time guests get a new one
+    let guestId;
+    let newGuestToken = null;
+    if (!req.user && !invitation) {
+      guestId = getGuestId(req);
+      if (!guestId) {
+        const issued = issueGuestToken();
+        guestId = issued.guestId;
+        newGuestToken = issued.token;
+      }
+    }
+
+    // Check if user can vote (an unused ballot token is good for exactly one ballot)
+    let canVoteResult;
+    if (req.user) {
+      canVoteResult = await poll.canUserVote(req.user);
+    } else if (invitation) {
+      canVoteResult = poll.canInviteeVote();
+    } else {
+      canVoteResult = await poll.canGuestVote(guestId, req.ip);
+    }
     if (!canVoteResult.canVote) {
       return res.status(400).json({ message: canVoteResult.reason });
     }
 
-    // Validate option index
-    if (optionIndex < 0 || optionIndex >= poll.options.length) {
-      return res.status(400).json({ message: 'Invalid option selected' });
+    // Validate the ballot against the poll type
+    const ballotResult = poll.validateBallot(req.body);
+    if (!ballotResult.valid) {
+      return res.status(400).json({ message: ballotResult.reason });
     }
+    const { ballot } = ballotResult;
+    const { optionIndex } = ballot;
 
-    // Add vote to poll
-    await poll.addVote(userId, optionIndex);
+    // Weighted polls fix the ballot's weight now, so later weight changes leave it alone
+    const weight = req.user && poll.usesWeighting() ? await getVoterWeight(poll, req.user) : 1;
+    if (weight <= 0) {
+      return res.status(400).json({ message: 'You hold no voting weight in this poll' });
+    }
 
     // Create vote record with enhanced tracking
     const vote = new Vote({
       pollId,
       userId,
-      optionIndex,
-      optionText: poll.options[optionIndex].text,
-      isAnonymous: poll.settings.anonymousVoting,
+      guestId,
+      invitationId: invitation ? invitation._id : undefined,
+      ...ballot,
+      ballotNumber: canVoteResult.nextBallotNumber,
+      weight,
+      isAnonymous: !req.user || poll.settings.anonymousVoting,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent') || '',
       metadata: {
@@ -53,24 +154,70 @@ router.post('/:pollId', authenticateToken, requireVoter, validateVote, async (re
       }
     });
 
-    await vote.save();
+    // Free-text answers are stored as responses linked from the vote
+    const responses = Response.fromBallot(poll, ballot, vote);
+
+    // The vote insert goes first so a concurrent duplicate fails before any counter moves
+    const updatedPoll = await runAtomically(async (session, onRollback) => {
+      if (invitation) {
+        const redeemed = await Invitation.redeem(poll._id, ballotToken, vote._id, { session });
+        if (!redeemed) {
+          throw Object.assign(new Error('This ballot token has already been used'), { statusCode: 409 });
+        }
+        onRollback(() => Invitation.updateOne(
+          { _id: invitation._id },
+          { $set: { status: 'pending' }, $unset: { usedAt: '', voteId: '' } }
+        ));
+      }
+
+      await vote.save({ session });
+      onRollback(() => Vote.deleteOne({ _id: vote._id }));
 
-    // Add poll to user's voted polls
-    await req.user.addVotedPoll(pollId);
+      if (responses.length > 0) {
+        await Response.insertMany(responses, { session });
+        onRollback(() => Response.deleteMany({ voteId: vote._id }));
+      }
+
+      // Add vote to poll
+      const newVoter = canVoteResult.ballotsCast === 0;
+      const pollAfterVote = await poll.addVote(ballot, { newVoter, weight, session });
+      onRollback(() => poll.removeBallot(vote, { lastBallot: newVoter }));
+
+      // Add poll to user's voted polls
+      if (req.user) {
+        await User.updateOne(
+          { _id: userId, 'votedPolls.pollId': { $ne: poll._id } },
+          { $push: { votedPolls: { pollId: poll._id } } },
+          { session }
+        );
+      }
+
+      return pollAfterVote;
+    });
+
+    if (newGuestToken) {
+      setGuestCookie(res, newGuestToken);
+    }
 
     // Emit real-time vote update
     emitNewVote(pollId, {
-      voterName: req.user.name,
-      optionText: poll.options[optionIndex].text,
+      voterName: req.user ? req.user.name : 'Guest',
+      optionText: ballot.optionText,
       optionIndex,
-      totalVotes: poll.totalVotes + 1,
+      ranking: ballot.ranking,
+      selections: ballot.selections,
+      ratings: ballot.ratings,
+      allocations: ballot.allocations,
+      distribution: ballot.distribution,
+      answers: vote.answers,
+      totalVotes: updatedPoll.totalVotes,
       isAnonymous: poll.settings.anonymousVoting
     });
 
     // Emit poll update with new vote counts
     emitPollUpdate(pollId, {
-      totalVotes: poll.totalVotes + 1,
-      options: poll.options
+      totalVotes: updatedPoll.totalVotes,
+      options: updatedPoll.options
     });
 
     res.status(201).json({
@@ -78,16 +225,163 @@ router.post('/:pollId', authenticateToken, requireVoter, validateVote, async (re
       vote: {
         pollId,
         optionIndex,
-        optionText: poll.options[optionIndex].text,
+        optionText: ballot.optionText,
+        ranking: ballot.ranking,
+        selections: ballot.selections,
+        ratings: ballot.ratings,
+        allocations: ballot.allocations,
+        distribution: ballot.distribution,
+        answers: ballot.answers,
         votedAt: vote.createdAt
-      }
+      },
+      // Clients that cannot keep cookies send this back in the X-Guest-Token header
+      ...(newGuestToken && { guestToken: newGuestToken })
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (isDuplicateKeyError(error)) {
+      return res.status(409).json({ message: 'Your vote is already being recorded' });
+    }
     console.error('Cast vote error:', error);
     res.status(500).json({ message: error.message || 'Server error casting vote' });
   }
 });
 
+// @route   PUT /api/votes/:pollId
+// @desc    Change the current user's most recent ballot for a poll
+// @access  Private (Voters and Admins)
+router.put('/:pollId', authenticateToken, requireVoter, validateVote, async (req, res) => {
+  try {
+    const { pollId } = req.params;
+    const userId = req.user._id;
+
+    const poll = await Poll.findById(pollId);
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const changeResult = poll.canChangeVote();
+    if (!changeResult.allowed) {
+      return res.status(400).json({ message: changeResult.reason });
+    }
+
+    const vote = await Vote.findOne({ pollId, userId }).sort({ createdAt: -1 });
+    if (!vote) {
+      return res.status(404).json({ message: 'You have not voted in this poll' });
+    }
+
+    const ballotResult = poll.validateBallot(req.body);
+    if (!ballotResult.valid) {
+      return res.status(400).json({ message: ballotResult.reason });
+    }
+    const { ballot } = ballotResult;
+
+    const previousVote = vote.toObject();
+    BALLOT_FIELDS.forEach(field => vote.set(field, undefined));
+    vote.set(ballot);
+
+    // Free-text answers are stored as responses linked from the vote
+    const responses = Response.fromBallot(poll, ballot, vote);
+
+    // Saving the vote first makes a concurrent change of the same vote fail its version check
+    const updatedPoll = await runAtomically(async (session, onRollback) => {
+      await vote.save({ session });
+      onRollback(() => Vote.replaceOne({ _id: vote._id }, previousVote));
+
+      // Replace any free-text answers the old ballot carried
+      const previousResponses = await Response.find({ voteId: vote._id, _id: { $nin: responses.map(response => response._id) } })
+        .session(session)
+        .lean();
+      if (previousResponses.length > 0) {
+        await Response.deleteMany({ _id: { $in: previousResponses.map(response => response._id) } }, { session });
+        onRollback(() => Response.insertMany(previousResponses));
+      }
+      if (responses.length > 0) {
+        await Response.insertMany(responses, { session });
+        onRollback(() => Response.deleteMany({ _id: { $in: responses.map(response => response._id) } }));
+      }
+
+      // Swap the old ballot's counts for the new one; totals are unchanged
+      return poll.replaceBallot(previousVote, ballot, { session });
+    });
+
+    emitPollUpdate(pollId, {
+      totalVotes: updatedPoll.totalVotes,
+      options: updatedPoll.options
+    });
+
+    res.json({
+      message: 'Vote changed successfully',
+      vote: {
+        pollId,
+        optionIndex: ballot.optionIndex,
+        optionText: ballot.optionText,
+        ranking: ballot.ranking,
+        selections: ballot.selections,
+        ratings: ballot.ratings,
+        allocations: ballot.allocations,
+        distribution: ballot.distribution,
+        answers: ballot.answers,
+        votedAt: vote.createdAt,
+        changedAt: vote.updatedAt
+      }
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'Your vote was changed by another request, please retry' });
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Change vote error:', error);
+    res.status(500).json({ message: 'Server error changing vote' });
+  }
+});
+
+// @route   DELETE /api/votes/:pollId/mine
+// @desc    Retract the current user's most recent ballot for a poll
+// @access  Private (Voters and Admins)
+router.delete('/:pollId/mine', authenticateToken, requireVoter, validateMongoId('pollId'), async (req, res) => {
+  try {
+    const { pollId } = req.params;
+
+    const poll = await Poll.findById(pollId);
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const changeResult = poll.canChangeVote();
+    if (!changeResult.allowed) {
+      return res.status(400).json({ message: changeResult.reason });
+    }
+
+    const vote = await Vote.findOne({ pollId, userId: req.user._id }).sort({ createdAt: -1 });
+    if (!vote) {
+      return res.status(404).json({ message: 'You have not voted in this poll' });
+    }
+
+    const updatedPoll = await withdrawVote(vote, poll);
+
+    emitPollUpdate(pollId, {
+      totalVotes: updatedPoll.totalVotes,
+      options: updatedPoll.options
+    });
+
+    res.json({
+      message: 'Vote retracted successfully',
+      totalVotes: updatedPoll.totalVotes
+    });
+  } catch (error) {
+    console.error('Retract vote error:', error);
+    res.status(500).json({ message: 'Server error retracting vote' });
+  }
+});
+
 // @route   GET /api/votes/user/history
 // @desc    Get user's voting history
 // @access  Private
@@ -107,6 +401,12 @@ router.get('/user/history', authenticateToken, validatePagination, async (req, r
       pollEndDate: vote.pollId.endDate,
       optionIndex: vote.optionIndex,
       optionText: vote.optionText,
+      ranking: vote.ranking,
+      selections: vote.selections,
+      ratings: vote.ratings,
+      allocations: vote.allocations,
+      distribution: vote.distribution,
+      answers: vote.answers,
       votedAt: vote.createdAt,
       isAnonymous: vote.isAnonymous
     }));
@@ -142,13 +442,19 @@ router.get('/poll/:pollId', authenticateToken, validateMongoId('pollId'), async
 
     const voteDetails = votes.map(vote => ({
       id: vote._id,
-      voter: vote.isAnonymous ? 'Anonymous' : {
+      voter: vote.isAnonymous || !vote.userId ? 'Anonymous' : {
         id: vote.userId._id,
         name: vote.userId.name,
         email: vote.userId.email
       },
       optionIndex: vote.optionIndex,
       optionText: vote.optionText,
+      ranking: vote.ranking,
+      selections: vote.selections,
+      ratings: vote.ratings,
+      allocations: vote.allocations,
+      distribution: vote.distribution,
+      answers: vote.answers,
       votedAt: vote.createdAt,
       isAnonymous: vote.isAnonymous
     }));
@@ -233,56 +539,16 @@ router.delete('/:voteId', authenticateToken, validateMongoId('voteId'), async (r
       return res.status(404).json({ message: 'Vote not found' });
     }
 
-    // Find the poll and update vote counts
     const poll = await Poll.findById(vote.pollId);
-    if (poll) {
-      // Decrease vote count for the option
-      if (poll.options[vote.optionIndex]) {
-        poll.options[vote.optionIndex].votes = Math.max(0, poll.options[vote.optionIndex].votes - 1);
-        
-        // Remove voter from option voters list
-        poll.options[vote.optionIndex].voters = poll.options[vote.optionIndex].voters.filter(
-          voter => voter.userId.toString() !== vote.userId.toString()
-        );
-      }
-
-      // Decrease total votes
-      poll.totalVotes = Math.max(0, poll.totalVotes - 1);
-
-      // Check if user has any other votes for this poll
-      const userOtherVotes = await Vote.countDocuments({
-        pollId: vote.pollId,
-        userId: vote.userId,
-        _id: { $ne: vote._id }
-      });
-
-      // If no other votes, remove from voted users and decrease unique voters
-      if (userOtherVotes === 0) {
-        poll.votedUsers = poll.votedUsers.filter(
-          userId => userId.toString() !== vote.userId.toString()
-        );
-        poll.uniqueVoters = Math.max(0, poll.uniqueVoters - 1);
-      }
-
-      await poll.save();
-    }
+    const updatedPoll = await withdrawVote(vote, poll);
 
-    // Remove vote from user's voted polls if no other votes exist
-    const userOtherVotes = await Vote.countDocuments({
-      pollId: vote.pollId,
-      userId: vote.userId,
-      _id: { $ne: vote._id }
-    });
-
-    if (userOtherVotes === 0) {
-      await User.findByIdAndUpdate(vote.userId, {
-        $pull: { votedPolls: { pollId: vote.pollId } }
+    if (updatedPoll) {
+      emitPollUpdate(updatedPoll._id, {
+        totalVotes: updatedPoll.totalVotes,
+        options: updatedPoll.options
       });
     }
 
-    // Delete the vote
-    await Vote.findByIdAndDelete(req.params.voteId);
-
     res.json({ message: 'Vote deleted successfully' });
   } catch (error) {
     console.error('Delete vote error:', error);
@@ -304,11 +570,11 @@ router.get('/recent', authenticateToken, async (req, res) => {
 
     const votesWithDetails = recentVotes.map(vote => ({
       id: vote._id,
-      voter: {
+      voter: vote.userId ? {
         id: vote.userId._id,
         name: vote.userId.name,
         email: vote.userId.email
-      },
+      } : 'Guest',
       poll: {
         id: vote.pollId._id,
         title: vote.pollId.title
@@ -6,6 +6,7 @@ const morgan = require('morgan');
 // const rateLimit = require('express-rate-limit'); // Removed to allow unlimited requests
 const http = require('http');
 const { initializeWebSocket } = require('./utils/websocket');
+const { startScheduler } = require('./utils/scheduler');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
@@ -14,10 +15,18 @@ const voteRoutes = require('./routes/votes');
 const adminRoutes = require('./routes/admin');
 const userRoutes = require('./routes/users');
 const analyticsRoutes = require('./routes/analytics');
+const delegationRoutes = require('./routes/delegations');
+const electionRoutes = require('./routes/elections');
 
 const app = express();
 const server = http.createServer(app);
 
+// Behind a proxy (Railway, Render) req.ip must come from X-Forwarded-For,
+// guest vote limits per IP depend on it
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -64,7 +73,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Guest-Token'],
   exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
   maxAge: 86400, // 24 hours
   preflightContinue: false,
@@ -92,7 +101,7 @@ app.use((req, res, next) => {
   }
   
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-Guest-Token');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Max-Age', '86400');
   
@@ -113,7 +122,11 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  // Open and close polls on their start and end dates
+  startScheduler();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -123,6 +136,8 @@ app.use('/api/votes', voteRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/delegations', delegationRoutes);
+app.use('/api/elections', electionRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const Poll = require('./models/Poll');
+const Vote = require('./models/Vote');
+const Response = require('./models/Response');
+
+// Ballot-token votes cast without signing in carry neither a userId nor a
+// guestId, only the invitation. Their free-text answers must still be valid
+// responses. Runs offline: documents are built and validated, never saved.
+
+const buildTokenVote = (poll, input) => {
+  const { valid, reason, ballot } = poll.validateBallot(input);
+  assert.ok(valid, reason);
+
+  const vote = new Vote({
+    pollId: poll._id,
+    invitationId: new mongoose.Types.ObjectId(),
+    ...ballot,
+    ballotNumber: 1
+  });
+  const responses = Response.fromBallot(poll, ballot, vote);
+  return { vote, responses };
+};
+
+const basePoll = {
+  description: 'Ballot token voters',
+  createdBy: new mongoose.Types.ObjectId(),
+  endDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  inviteOnly: true
+};
+
+function testInviteResponses() {
+  try {
+    const openTextPoll = new Poll({ ...basePoll, title: 'Suggestions', pollType: 'open_text' });
+    const openText = buildTokenVote(openTextPoll, { text: 'More evening sessions' });
+
+    assert.strictEqual(openText.responses.length, 1);
+    assert.ok(openText.responses[0].invitationId.equals(openText.vote.invitationId));
+    assert.strictEqual(openText.vote.validateSync(), undefined);
+    assert.strictEqual(openText.responses[0].validateSync(), undefined);
+    console.log('✅ Open text poll: token vote response is valid');
+
+    const surveyPoll = new Poll({
+      ...basePoll,
+      title: 'Feedback',
+      pollType: 'survey',
+      questions: [
+        { text: 'Favourite session', questionType: 'single', options: [{ text: 'Morning' }, { text: 'Evening' }] },
+        { text: 'Anything else?', questionType: 'open_text' }
+      ]
+    });
+    const survey = buildTokenVote(surveyPoll, {
+      answers: [{ questionIndex: 0, optionIndex: 1 }, { questionIndex: 1, text: 'Longer breaks' }]
+    });
+
+    assert.strictEqual(survey.responses.length, 1);
+    assert.strictEqual(survey.responses[0].questionIndex, 1);
+    assert.strictEqual(survey.responses[0].validateSync(), undefined);
+    console.log('✅ Survey text question: token vote response is valid');
+
+    // A response with no voter at all is still rejected
+    const orphan = new Response({ pollId: openTextPoll._id, voteId: openText.vote._id, text: 'Who wrote this?' });
+    assert.ok(orphan.validateSync().errors.userId);
+    console.log('✅ Response without a user, guest or invitation is rejected');
+  } catch (error) {
+    console.error('❌ Error testing invitation responses:', error);
+    process.exitCode = 1;
+  }
+}
+
+testInviteResponses();
@@ -0,0 +1,576 @@
+// Ballot shapes accepted by each poll type, and how they are summarised.
+// A "spec" is anything carrying a type and options: a Poll document, or one
+// question of a survey poll (which uses questionType instead of pollType).
+
+const { instantRunoff, ratingStatistics, pointsStatistics } = require('./tally');
+const { singleTransferableVote } = require('./stv');
+
+const QUESTION_TYPES = ['single', 'ranked', 'approval', 'rating', 'open_text'];
+// Poll types that elect several options (seats) from ranked ballots
+const MULTI_SEAT_TYPES = ['stv'];
+// Poll types whose ballots spread a budget of credits or points across the options
+const BUDGET_TYPES = ['quadratic', 'points'];
+// Poll types whose ballots answer a list of questions instead of the poll's own options
+const QUESTIONNAIRE_TYPES = ['survey', 'quiz'];
+const POLL_TYPES = [...QUESTION_TYPES, ...MULTI_SEAT_TYPES, ...BUDGET_TYPES, ...QUESTIONNAIRE_TYPES];
+// Poll and question types whose ballots are rankings
+const RANKED_TYPES = ['ranked', ...MULTI_SEAT_TYPES];
+// Quiz questions need a right answer, so only choice questions can be scored
+const QUIZ_QUESTION_TYPES = ['single', 'approval'];
+
+const CONDITION_OPERATORS = ['selected', 'not_selected', 'answered', 'skipped', 'rating_at_least', 'rating_at_most'];
+
+const getSpecType = (spec) => spec.questionType || spec.pollType || 'single';
+
+const hasQuestions = (spec) => QUESTIONNAIRE_TYPES.includes(spec.pollType);
+
+// Free-text specs collect answers in the responses collection and have no options
+const isOpenText = (spec) => getSpecType(spec) === 'open_text';
+
+const MAX_TEXT_LENGTH = 500;
+
+const DEFAULT_RATING_SCALE = { min: 1, max: 5 };
+
+const getRatingScale = (spec) => {
+  const scale = (spec.settings && spec.settings.ratingScale) || {};
+  return {
+    min: scale.min ?? DEFAULT_RATING_SCALE.min,
+    max: scale.max ?? DEFAULT_RATING_SCALE.max
+  };
+};
+
+const getSeats = (spec) => (spec.settings && spec.settings.seats) || 1;
+
+const DEFAULT_CREDIT_BUDGET = 100;
+
+const getCreditBudget = (spec) => (spec.settings && spec.settings.creditBudget) || DEFAULT_CREDIT_BUDGET;
+
+const DEFAULT_POINTS_BUDGET = 100;
+
+const getPointsBudget = (spec) => (spec.settings && spec.settings.pointsBudget) || DEFAULT_POINTS_BUDGET;
+
+// Quadratic voting: n votes for one option cost n² credits
+const quadraticCost = (votes) => votes * votes;
+
+const isValidIndex = (spec, optionIndex) => {
+  return Number.isInteger(optionIndex) && optionIndex >= 0 && optionIndex < spec.options.length;
+};
+
+// Numbers and numeric strings only: Number() reads null, '' and false as 0 (option 0)
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+// Is a ballot entry (allocation, distribution entry, rating, survey answer) a plain object?
+const isEntry = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Parse an array of option indexes, rejecting duplicates and unknown options
+const parseIndexList = (spec, values, label) => {
+  const parsed = values.map(toNumber);
+  if (!parsed.every(optionIndex => isValidIndex(spec, optionIndex))) {
+    return { reason: `${label} contains an invalid option` };
+  }
+
+  if (new Set(parsed).size !== parsed.length) {
+    return { reason: `Each option can only appear once in the ${label.toLowerCase()}` };
+  }
+
+  return { indexes: parsed };
+};
+
+// Does one display condition hold for the answers given so far?
+// Answers to hidden questions are never present, so they count as skipped.
+const conditionHolds = (condition, answersByQuestion) => {
+  const answer = answersByQuestion.get(condition.questionIndex);
+
+  switch (condition.operator) {
+    case 'answered':
+      return !!answer;
+    case 'skipped':
+      return !answer;
+    case 'not_selected':
+      return !answer || !getCountedOptions(answer).includes(condition.optionIndex);
+    case 'rating_at_least':
+    case 'rating_at_most': {
+      const rating = answer && (answer.ratings || []).find(entry => entry.optionIndex === condition.optionIndex);
+      if (!rating) return false;
+      return condition.operator === 'rating_at_least' ? rating.value >= condition.value : rating.value <= condition.value;
+    }
+    case 'selected':
+    default:
+      return !!answer && getCountedOptions(answer).includes(condition.optionIndex);
+  }
+};
+
+// Indexes of the survey questions a respondent sees given their answers.
+// Conditions only reference earlier questions, so one pass in order is enough.
+const getVisibleQuestions = (spec, answersByQuestion) => {
+  const visible = [];
+
+  spec.questions.forEach((question, questionIndex) => {
+    const conditions = question.displayConditions || [];
+    if (conditions.length === 0) {
+      visible.push(questionIndex);
+      return;
+    }
+
+    // Answers to questions already found hidden must not unlock later ones
+    const shownAnswers = new Map([...answersByQuestion].filter(([index]) => visible.includes(index)));
+    const results = conditions.map(condition => conditionHolds(condition, shownAnswers));
+    const isShown = question.conditionLogic === 'any' ? results.some(Boolean) : results.every(Boolean);
+
+    if (isShown) {
+      visible.push(questionIndex);
+    }
+  });
+
+  return visible;
+};
+
+// Survey submissions carry one answer per question, each validated against its question
+const normalizeSurveyBallot = (spec, input) => {
+  const { answers } = input;
+
+  if (!Array.isArray(answers) || answers.length === 0) {
+    return { valid: false, reason: 'Surveys require a list of answers' };
+  }
+
+  const answersByQuestion = new Map();
+
+  for (const answer of answers) {
+    if (!isEntry(answer)) {
+      return { valid: false, reason: 'Each answer must be an object' };
+    }
+
+    const questionIndex = toNumber(answer.questionIndex);
+    const question = Number.isInteger(questionIndex) ? spec.questions[questionIndex] : undefined;
+
+    if (!question) {
+      return { valid: false, reason: 'Answer references an invalid question' };
+    }
+
+    if (answersByQuestion.has(questionIndex)) {
+      return { valid: false, reason: `Question ${questionIndex + 1} is answered more than once` };
+    }
+
+    const result = normalizeBallot(question, answer);
+    if (!result.valid) {
+      return { valid: false, reason: `Question ${questionIndex + 1}: ${result.reason}` };
+    }
+
+    answersByQuestion.set(questionIndex, { questionIndex, ...result.ballot });
+  }
+
+  // Branching: only questions whose display conditions hold may be answered
+  const shownQuestions = getVisibleQuestions(spec, answersByQuestion);
+
+  const hidden = [...answersByQuestion.keys()].find(questionIndex => !shownQuestions.includes(questionIndex));
+  if (hidden !== undefined) {
+    return { valid: false, reason: `Question ${hidden + 1} is not shown for the answers given` };
+  }
+
+  const missing = shownQuestions.find(questionIndex =>
+    spec.questions[questionIndex].isRequired && !answersByQuestion.has(questionIndex));
+  if (missing !== undefined) {
+    return { valid: false, reason: `Question ${missing + 1} is required` };
+  }
+
+  const ballot = {
+    answers: [...answersByQuestion.values()].sort((a, b) => a.questionIndex - b.questionIndex),
+    shownQuestions
+  };
+
+  if (spec.pollType === 'quiz') {
+    Object.assign(ballot, scoreQuizBallot(spec, ballot));
+  }
+
+  return { valid: true, ballot };
+};
+
+// Score a quiz ballot: a question earns its points only when the chosen
+// options are exactly its correct options. Unanswered questions score zero.
+const scoreQuizBallot = (spec, ballot) => {
+  const correctQuestions = [];
+  let score = 0;
+
+  ballot.answers.forEach(answer => {
+    const question = spec.questions[answer.questionIndex];
+    const correct = question.options
+      .map((option, optionIndex) => (option.isCorrect ? optionIndex : null))
+      .filter(optionIndex => optionIndex !== null);
+    const chosen = getCountedOptions(answer);
+
+    if (correct.length > 0 && chosen.length === correct.length && chosen.every(optionIndex => correct.includes(optionIndex))) {
+      correctQuestions.push(answer.questionIndex);
+      score += question.points ?? 1;
+    }
+  });
+
+  const maxScore = ballot.shownQuestions
+    .reduce((sum, questionIndex) => sum + (spec.questions[questionIndex].points ?? 1), 0);
+
+  return { score, maxScore, correctQuestions };
+};
+
+// Turn the request body into the ballot fields stored on a Vote.
+// optionIndex/optionText hold the voter's first choice so that history and
+// admin views keep working for every poll type; survey ballots keep theirs per answer.
+const normalizeBallot = (spec, input = {}) => {
+  const pollType = getSpecType(spec);
+
+  if (!isEntry(input)) {
+    return { valid: false, reason: 'Ballot must be an object' };
+  }
+
+  if (hasQuestions(spec)) {
+    return normalizeSurveyBallot(spec, input);
+  }
+
+  if (RANKED_TYPES.includes(pollType)) {
+    const { ranking } = input;
+
+    if (!Array.isArray(ranking) || ranking.length === 0) {
+      return { valid: false, reason: 'Ranked-choice polls require a ranking of option indexes' };
+    }
+
+    const { indexes, reason } = parseIndexList(spec, ranking, 'Ranking');
+    if (reason) {
+      return { valid: false, reason };
+    }
+
+    return {
+      valid: true,
+      ballot: {
+        ranking: indexes,
+        optionIndex: indexes[0],
+        optionText: spec.options[indexes[0]].text
+      }
+    };
+  }
+
+  if (pollType === 'approval') {
+    const { selections } = input;
+
+    if (!Array.isArray(selections)) {
+      return { valid: false, reason: 'Approval polls require a list of selected option indexes' };
+    }
+
+    const { indexes, reason } = parseIndexList(spec, selections, 'Selection');
+    if (reason) {
+      return { valid: false, reason };
+    }
+
+    const settings = spec.settings || {};
+    const minSelections = settings.minSelections || 1;
+    const maxSelections = settings.maxSelections || spec.options.length;
+    if (indexes.length < minSelections || indexes.length > maxSelections) {
+      return {
+        valid: false,
+        reason: minSelections === maxSelections
+          ? `Select exactly ${minSelections} option(s)`
+          : `Select between ${minSelections} and ${maxSelections} options`
+      };
+    }
+
+    const sorted = [...indexes].sort((a, b) => a - b);
+    return {
+      valid: true,
+      ballot: {
+        selections: sorted,
+        optionIndex: sorted[0],
+        optionText: spec.options[sorted[0]].text
+      }
+    };
+  }
+
+  // Quadratic: votes are bought per option, the credits spent must fit the budget.
+  // optionIndex is the option given the most votes.
+  if (pollType === 'quadratic') {
+    const { allocations } = input;
+
+    if (!Array.isArray(allocations) || allocations.length === 0) {
+      return { valid: false, reason: 'Quadratic polls require a list of vote allocations' };
+    }
+
+    if (!allocations.every(isEntry)) {
+      return { valid: false, reason: 'Each allocation must be an object' };
+    }
+
+    const { indexes, reason } = parseIndexList(spec, allocations.map(allocation => allocation.optionIndex), 'Allocations');
+    if (reason) {
+      return { valid: false, reason };
+    }
+
+    const votes = allocations.map(allocation => toNumber(allocation.votes));
+    if (!votes.every(count => Number.isInteger(count) && count >= 1)) {
+      return { valid: false, reason: 'Each allocation must be a whole number of votes of at least 1' };
+    }
+
+    const budget = getCreditBudget(spec);
+    const creditsSpent = votes.reduce((sum, count) => sum + quadraticCost(count), 0);
+    if (creditsSpent > budget) {
+      return { valid: false, reason: `Allocations cost ${creditsSpent} credits but the budget is ${budget}` };
+    }
+
+    const sorted = indexes
+      .map((optionIndex, index) => ({ optionIndex, votes: votes[index] }))
+      .sort((a, b) => a.optionIndex - b.optionIndex);
+    const top = sorted.reduce((best, allocation) => (allocation.votes > best.votes ? allocation : best));
+    return {
+      valid: true,
+      ballot: {
+        allocations: sorted,
+        creditsSpent,
+        optionIndex: top.optionIndex,
+        optionText: spec.options[top.optionIndex].text
+      }
+    };
+  }
+
+  // Points: the whole budget is shared out across the options. Options given
+  // nothing are left off the stored ballot; optionIndex is the one given the most.
+  if (pollType === 'points') {
+    const { distribution } = input;
+
+    if (!Array.isArray(distribution) || distribution.length === 0) {
+      return { valid: false, reason: 'Points polls require a distribution of points across options' };
+    }
+
+    if (!distribution.every(isEntry)) {
+      return { valid: false, reason: 'Each distribution entry must be an object' };
+    }
+
+    const { indexes, reason } = parseIndexList(spec, distribution.map(entry => entry.optionIndex), 'Distribution');
+    if (reason) {
+      return { valid: false, reason };
+    }
+
+    const points = distribution.map(entry => toNumber(entry.points));
+    if (!points.every(amount => Number.isInteger(amount) && amount >= 0)) {
+      return { valid: false, reason: 'Points must be whole numbers of at least 0' };
+    }
+
+    const budget = getPointsBudget(spec);
+    const total = points.reduce((sum, amount) => sum + amount, 0);
+    if (total !== budget) {
+      return { valid: false, reason: `Distribute exactly ${budget} points (${total} given)` };
+    }
+
+    const sorted = indexes
+      .map((optionIndex, index) => ({ optionIndex, points: points[index] }))
+      .filter(entry => entry.points > 0)
+      .sort((a, b) => a.optionIndex - b.optionIndex);
+    const top = sorted.reduce((best, entry) => (entry.points > best.points ? entry : best));
+    return {
+      valid: true,
+      ballot: {
+        distribution: sorted,
+        optionIndex: top.optionIndex,
+        optionText: spec.options[top.optionIndex].text
+      }
+    };
+  }
+
+  // The text itself is not stored on the Vote: callers move responseText
+  // into the responses collection (see Response.fromBallot)
+  if (pollType === 'open_text') {
+    const text = typeof input.text === 'string' ? input.text.trim() : '';
+
+    if (!text) {
+      return { valid: false, reason: 'Open text questions require a text answer' };
+    }
+
+    if (text.length > MAX_TEXT_LENGTH) {
+      return { valid: false, reason: `Text answers cannot exceed ${MAX_TEXT_LENGTH} characters` };
+    }
+
+    return { valid: true, ballot: { responseText: text } };
+  }
+
+  if (pollType === 'rating') {
+    const { ratings } = input;
+
+    if (!Array.isArray(ratings) || ratings.length === 0) {
+      return { valid: false, reason: 'Rating polls require a list of option ratings' };
+    }
+
+    if (!ratings.every(isEntry)) {
+      return { valid: false, reason: 'Each rating must be an object' };
+    }
+
+    const { indexes, reason } = parseIndexList(spec, ratings.map(rating => rating.optionIndex), 'Ratings');
+    if (reason) {
+      return { valid: false, reason };
+    }
+
+    const scale = getRatingScale(spec);
+    const values = ratings.map(rating => toNumber(rating.value));
+    if (!values.every(value => Number.isInteger(value) && value >= scale.min && value <= scale.max)) {
+      return { valid: false, reason: `Ratings must be whole numbers between ${scale.min} and ${scale.max}` };
+    }
+
+    return {
+      valid: true,
+      ballot: {
+        ratings: indexes.map((optionIndex, index) => ({ optionIndex, value: values[index] })),
+        optionIndex: indexes[0],
+        optionText: spec.options[indexes[0]].text
+      }
+    };
+  }
+
+  const optionIndex = toNumber(input.optionIndex);
+  if (!isValidIndex(spec, optionIndex)) {
+    return { valid: false, reason: 'Invalid option selected' };
+  }
+
+  return {
+    valid: true,
+    ballot: {
+      optionIndex,
+      optionText: spec.options[optionIndex].text
+    }
+  };
+};
+
+// Option indexes a (non-survey) ballot counts toward: every option touched by
+// approval, rating and budget ballots, the first choice for everything else
+const getCountedOptions = (ballot) => {
+  if (ballot.selections && ballot.selections.length) return ballot.selections;
+  if (ballot.ratings && ballot.ratings.length) return ballot.ratings.map(rating => rating.optionIndex);
+  if (ballot.allocations && ballot.allocations.length) return ballot.allocations.map(allocation => allocation.optionIndex);
+  if (ballot.distribution && ballot.distribution.length) return ballot.distribution.map(entry => entry.optionIndex);
+  return ballot.optionIndex === undefined || ballot.optionIndex === null ? [] : [ballot.optionIndex];
+};
+
+// Per-option results for a spec. totalResponses is the number of ballots that
+// answered it. ballots are only needed (and only loaded by callers) for ranked
+// and STV specs, as each ballot's ranking with weights when ballots count as
+// more than one vote, and for points specs, as each ballot's distribution.
+const summarizeOptions = (spec, totalResponses, ballots = [], weights) => {
+  const pollType = getSpecType(spec);
+
+  // Open text: the answers themselves are paged from the responses endpoint
+  if (pollType === 'open_text') {
+    return { results: [], textResponses: totalResponses };
+  }
+
+  const results = spec.options.map(option => ({
+    text: option.text,
+    votes: option.votes,
+    percentage: totalResponses > 0 ? ((option.votes / totalResponses) * 100).toFixed(2) : 0
+  }));
+
+  // Approval: option votes are approvals, percentages are of ballots cast
+  if (pollType === 'approval') {
+    return {
+      results: results.map(result => ({ ...result, approvals: result.votes })),
+      totalBallots: totalResponses,
+      totalApprovals: spec.options.reduce((sum, option) => sum + option.votes, 0)
+    };
+  }
+
+  // Rating: option votes are the number of ratings received
+  if (pollType === 'rating') {
+    const scale = getRatingScale(spec);
+    return {
+      results: results.map((result, index) => ({
+        ...result,
+        ratings: ratingStatistics(spec.options[index].ratingDistribution || [], scale)
+      })),
+      ratingScale: scale
+    };
+  }
+
+  // Quadratic: option votes are the votes bought for it, so shares are of all votes
+  // bought; the priority order ranks options by those votes
+  if (pollType === 'quadratic') {
+    const totalAllocated = spec.options.reduce((sum, option) => sum + option.votes, 0);
+    const quadraticResults = spec.options.map(option => ({
+      text: option.text,
+      votes: option.votes,
+      percentage: totalAllocated > 0 ? ((option.votes / totalAllocated) * 100).toFixed(2) : 0,
+      credits: option.credits || 0
+    }));
+
+    return {
+      results: quadraticResults,
+      priority: quadraticResults
+        .map((result, optionIndex) => ({ optionIndex, text: result.text, votes: result.votes }))
+        .sort((a, b) => (b.votes - a.votes) || (a.optionIndex - b.optionIndex)),
+      totalBallots: totalResponses,
+      totalAllocatedVotes: totalAllocated,
+      totalCredits: quadraticResults.reduce((sum, result) => sum + result.credits, 0),
+      creditBudget: getCreditBudget(spec)
+    };
+  }
+
+  // Points: option votes are the points given to it; averages are per ballot,
+  // counting ballots that gave the option nothing
+  if (pollType === 'points') {
+    const budget = getPointsBudget(spec);
+    const totalPoints = spec.options.reduce((sum, option) => sum + option.votes, 0);
+    const amounts = spec.options.map(() => []);
+    ballots.forEach(distribution => {
+      const given = new Map(distribution.map(entry => [entry.optionIndex, entry.points]));
+      amounts.forEach((optionAmounts, optionIndex) => optionAmounts.push(given.get(optionIndex) || 0));
+    });
+
+    return {
+      results: spec.options.map((option, optionIndex) => ({
+        text: option.text,
+        votes: option.votes,
+        percentage: totalPoints > 0 ? ((option.votes / totalPoints) * 100).toFixed(2) : 0,
+        averagePoints: totalResponses > 0 ? Number((option.votes / totalResponses).toFixed(2)) : 0,
+        distribution: pointsStatistics(amounts[optionIndex], budget)
+      })),
+      totalBallots: totalResponses,
+      totalPoints,
+      pointsBudget: budget
+    };
+  }
+
+  // STV: option votes are first preferences, the transfer count fills the seats
+  if (pollType === 'stv') {
+    return {
+      results,
+      stv: singleTransferableVote(spec.options, ballots, weights, getSeats(spec))
+    };
+  }
+
+  // Ranked: option votes are first preferences, the runoff decides the winner
+  if (pollType === 'ranked') {
+    return {
+      results,
+      runoff: instantRunoff(spec.options, ballots, weights)
+    };
+  }
+
+  return { results };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  QUESTIONNAIRE_TYPES,
+  MULTI_SEAT_TYPES,
+  BUDGET_TYPES,
+  RANKED_TYPES,
+  QUIZ_QUESTION_TYPES,
+  POLL_TYPES,
+  CONDITION_OPERATORS,
+  getVisibleQuestions,
+  MAX_TEXT_LENGTH,
+  getSpecType,
+  hasQuestions,
+  isOpenText,
+  getRatingScale,
+  getSeats,
+  getCreditBudget,
+  getPointsBudget,
+  quadraticCost,
+  getCountedOptions,
+  summarizeOptions,
+  normalizeBallot
+};
@@ -0,0 +1,185 @@
+// Pairwise (Condorcet) counts over ranked ballots, reported beside the
+// instant-runoff count to show how robust a ranked poll's result is.
+// Ballots are ordered arrays of option indexes; an option a ballot ranks is
+// preferred to every option it leaves out, and unranked options are level.
+
+const PAIRWISE_METHODS = ['condorcet', 'schulze', 'ranked_pairs'];
+
+// matrix[i][j] is the number of votes preferring option i to option j
+const pairwiseMatrix = (optionCount, ballots, weights) => {
+  const matrix = Array.from({ length: optionCount }, () => new Array(optionCount).fill(0));
+
+  ballots.forEach((ranking, index) => {
+    const weight = weights ? weights[index] : 1;
+    const position = new Map(ranking.map((optionIndex, rank) => [optionIndex, rank]));
+
+    for (let i = 0; i < optionCount; i++) {
+      for (let j = 0; j < optionCount; j++) {
+        if (i === j || !position.has(i)) continue;
+        if (!position.has(j) || position.get(i) < position.get(j)) {
+          matrix[i][j] += weight;
+        }
+      }
+    }
+  });
+
+  return matrix;
+};
+
+// Option that beats every other option head to head, or null
+const findCondorcetWinner = (matrix) => {
+  const winner = matrix.findIndex((row, i) => row.every((votes, j) => i === j || votes > matrix[j][i]));
+  return winner === -1 ? null : winner;
+};
+
+// Does the head-to-head majority graph contain a cycle (a Condorcet paradox)?
+const hasMajorityCycle = (matrix) => {
+  const optionCount = matrix.length;
+  const state = new Array(optionCount).fill(0); // 0 unvisited, 1 on the current path, 2 done
+
+  const visit = (i) => {
+    state[i] = 1;
+    for (let j = 0; j < optionCount; j++) {
+      if (i === j || matrix[i][j] <= matrix[j][i]) continue;
+      if (state[j] === 1 || (state[j] === 0 && visit(j))) return true;
+    }
+    state[i] = 2;
+    return false;
+  };
+
+  return matrix.some((row, i) => state[i] === 0 && visit(i));
+};
+
+// Order options by how many others they beat under a pairwise relation,
+// options level with each other sharing a place
+const orderByWins = (options, beats) => {
+  const standings = options.map((option, optionIndex) => ({
+    optionIndex,
+    text: option.text,
+    wins: options.filter((other, otherIndex) => otherIndex !== optionIndex && beats(optionIndex, otherIndex)).length
+  })).sort((a, b) => (b.wins - a.wins) || (a.optionIndex - b.optionIndex));
+
+  return standings.map(standing => ({
+    ...standing,
+    place: standings.findIndex(other => other.wins === standing.wins) + 1
+  }));
+};
+
+// Schulze method: the strength of a path is its weakest head-to-head win
+// (winning votes); A ranks above B when A's strongest path to B is stronger than B's back
+const schulze = (options, matrix) => {
+  const optionCount = options.length;
+  const strengths = matrix.map((row, i) => row.map((votes, j) => (i !== j && votes > matrix[j][i] ? votes : 0)));
+
+  for (let k = 0; k < optionCount; k++) {
+    for (let i = 0; i < optionCount; i++) {
+      if (i === k) continue;
+      for (let j = 0; j < optionCount; j++) {
+        if (j === i || j === k) continue;
+        strengths[i][j] = Math.max(strengths[i][j], Math.min(strengths[i][k], strengths[k][j]));
+      }
+    }
+  }
+
+  // Winners are the options no other option beats
+  const winners = options
+    .map((option, optionIndex) => optionIndex)
+    .filter(i => strengths.every((row, j) => i === j || strengths[i][j] >= row[i]));
+
+  return {
+    strengths,
+    ranking: orderByWins(options, (i, j) => strengths[i][j] > strengths[j][i]),
+    winners: winners.map(optionIndex => ({ optionIndex, text: options[optionIndex].text }))
+  };
+};
+
+// Ranked Pairs (Tideman): lock head-to-head wins from the strongest down,
+// skipping any that would close a cycle with the ones already locked
+const rankedPairs = (options, matrix) => {
+  const optionCount = options.length;
+  const majorities = [];
+  for (let i = 0; i < optionCount; i++) {
+    for (let j = 0; j < optionCount; j++) {
+      if (i !== j && matrix[i][j] > matrix[j][i]) {
+        majorities.push({ winner: i, loser: j, votes: matrix[i][j], against: matrix[j][i] });
+      }
+    }
+  }
+
+  // Strongest wins first, then the smallest opposition, then option order so the count is deterministic
+  majorities.sort((a, b) => (b.votes - a.votes) || (a.against - b.against) ||
+    (a.winner - b.winner) || (a.loser - b.loser));
+
+  const locked = options.map(() => new Set());
+  const reaches = (from, to) => {
+    const stack = [from];
+    const seen = new Set();
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current === to) return true;
+      if (seen.has(current)) continue;
+      seen.add(current);
+      locked[current].forEach(next => stack.push(next));
+    }
+    return false;
+  };
+
+  const pairs = majorities.map(pair => {
+    const lock = !reaches(pair.loser, pair.winner);
+    if (lock) locked[pair.winner].add(pair.loser);
+    return { ...pair, locked: lock };
+  });
+
+  const ranking = orderByWins(options, (i, j) => reaches(i, j));
+  const sources = options
+    .map((option, optionIndex) => optionIndex)
+    .filter(optionIndex => !locked.some(targets => targets.has(optionIndex)));
+
+  return {
+    pairs,
+    ranking,
+    winners: sources.map(optionIndex => ({ optionIndex, text: options[optionIndex].text }))
+  };
+};
+
+// Full pairwise report for a ranked poll. method picks the completion used when
+// there is no Condorcet winner ('condorcet' reports the matrix and winner only).
+const pairwiseResults = (options, ballots, weights, method = 'condorcet') => {
+  const matrix = pairwiseMatrix(options.length, ballots, weights);
+  const condorcetWinner = findCondorcetWinner(matrix);
+
+  const result = {
+    method,
+    options: options.map((option, optionIndex) => ({ optionIndex, text: option.text })),
+    matrix,
+    condorcetWinner: condorcetWinner === null ? null : {
+      optionIndex: condorcetWinner,
+      text: options[condorcetWinner].text
+    },
+    hasCycle: hasMajorityCycle(matrix)
+  };
+
+  let winners = condorcetWinner === null ? [] : [result.condorcetWinner];
+  if (method === 'schulze') {
+    result.schulze = schulze(options, matrix);
+    winners = result.schulze.winners;
+  } else if (method === 'ranked_pairs') {
+    result.rankedPairs = rankedPairs(options, matrix);
+    winners = result.rankedPairs.winners;
+  }
+
+  // Both completions agree with the Condorcet winner whenever there is one
+  result.winner = winners.length === 1 ? winners[0] : null;
+  result.tied = winners.length > 1 ? winners : [];
+  return result;
+};
+
+module.exports = {
+  PAIRWISE_METHODS,
+  pairwiseMatrix,
+  findCondorcetWinner,
+  hasMajorityCycle,
+  schulze,
+  rankedPairs,
+  pairwiseResults
+};
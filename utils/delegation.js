@@ -0,0 +1,139 @@
+const User = require('../models/User');
+const Vote = require('../models/Vote');
+const Delegation = require('../models/Delegation');
+const { getCountedOptions } = require('./ballots');
+const { getVoterWeights } = require('./weights');
+
+// Liquid democracy: members who do not vote in a delegation-enabled poll lend
+// their vote to whoever they delegated to for the poll's category. A chain is
+// followed through members who did not vote until it reaches one who did, so
+// voting directly always overrides a delegation. Chains that end without a
+// voter, or loop, carry no weight.
+
+// Who each member delegates to for a category (category delegations win over
+// catch-all ones), for the members whose chain reaches a direct voter. Walked
+// out from the voters, so only delegations leading to them are read.
+const loadDelegateMap = async (category, directVoters) => {
+  const delegateOf = new Map();
+  let frontier = [...directVoters];
+
+  while (frontier.length > 0) {
+    const delegations = await Delegation.find({ delegate: { $in: frontier }, category: { $in: [category, null] } })
+      .select('delegator delegate category')
+      .lean();
+
+    // A catch-all delegation does not count for members with one for this category
+    const catchAll = delegations.filter(delegation => delegation.category === null).map(delegation => delegation.delegator);
+    const overridden = new Set(catchAll.length > 0
+      ? (await Delegation.distinct('delegator', { delegator: { $in: catchAll }, category })).map(String)
+      : []);
+
+    frontier = [];
+    delegations.forEach(delegation => {
+      const delegator = delegation.delegator.toString();
+      if (directVoters.has(delegator) || delegateOf.has(delegator)) return;
+      if (delegation.category === null && overridden.has(delegator)) return;
+
+      delegateOf.set(delegator, delegation.delegate.toString());
+      frontier.push(delegator);
+    });
+  }
+
+  return delegateOf;
+};
+
+// How many delegated votes each direct voter carries, keyed by user id. In
+// weighted polls each delegator lends their own weight.
+const getDelegatedWeights = async (poll) => {
+  const voterIds = await Vote.distinct('userId', { pollId: poll._id, userId: { $exists: true, $ne: null } });
+  const directVoters = new Set(voterIds.map(String));
+  const delegateOf = await loadDelegateMap(poll.category, directVoters);
+
+  // Direct voter each non-voting member's chain reaches (null for none), shared along the chain
+  const reached = new Map();
+  const resolve = (member) => {
+    const path = [];
+    const onPath = new Set();
+    let current = member;
+    let result = null;
+
+    while (current) {
+      if (directVoters.has(current)) {
+        result = current;
+        break;
+      }
+      if (reached.has(current)) {
+        result = reached.get(current);
+        break;
+      }
+      if (onPath.has(current)) break;
+
+      onPath.add(current);
+      path.push(current);
+      current = delegateOf.get(current);
+    }
+
+    path.forEach(id => reached.set(id, result));
+    return result;
+  };
+
+  const lent = [...delegateOf.keys()]
+    .filter(delegator => !directVoters.has(delegator))
+    .map(delegator => ({ delegator, voter: resolve(delegator) }))
+    .filter(({ voter }) => voter);
+
+  if (lent.length === 0) return new Map();
+
+  // Only members who could have voted themselves may lend their vote
+  const delegators = (await User.find({ _id: { $in: lent.map(({ delegator }) => delegator) }, isActive: true })
+    .select('role groups email emailVerified createdAt voteWeight')
+    .lean())
+    .filter(user => poll.checkEligibility(user).eligible);
+  const lentWeights = !poll.usesWeighting()
+    ? new Map(delegators.map(user => [user._id.toString(), 1]))
+    : await getVoterWeights(poll, delegators);
+
+  const weights = new Map();
+  lent
+    .filter(({ delegator }) => lentWeights.has(delegator))
+    .forEach(({ delegator, voter }) => weights.set(voter, (weights.get(voter) || 0) + lentWeights.get(delegator)));
+  return weights;
+};
+
+// Delegated votes per option. The delegated weight rides on each delegate's
+// latest ballot (withdrawn ballots are gone from the votes collection);
+// ballotWeights maps those ballot ids to the extra votes they carry.
+const tallyDelegatedVotes = async (poll) => {
+  const delegatedVotes = new Array(poll.options.length).fill(0);
+  const ballotWeights = new Map();
+  let delegatedWeight = 0;
+
+  const weights = await getDelegatedWeights(poll);
+  if (weights.size > 0) {
+    const ballots = await Vote.find({ pollId: poll._id, userId: { $in: [...weights.keys()] } })
+      .sort({ ballotNumber: -1, createdAt: -1 })
+      .select('userId optionIndex selections ranking')
+      .lean();
+
+    const carried = new Set();
+    ballots.forEach(ballot => {
+      const voter = ballot.userId.toString();
+      if (carried.has(voter)) return;
+      carried.add(voter);
+
+      const weight = weights.get(voter);
+      ballotWeights.set(ballot._id.toString(), weight);
+      delegatedWeight += weight;
+      getCountedOptions(ballot).forEach(optionIndex => {
+        delegatedVotes[optionIndex] += weight;
+      });
+    });
+  }
+
+  return { delegatedVotes, delegatedWeight, ballotWeights };
+};
+
+module.exports = {
+  getDelegatedWeights,
+  tallyDelegatedVotes
+};
@@ -0,0 +1,79 @@
+// Voter eligibility rules stored on a poll. Every rule that is set must pass;
+// list rules (roles, groups, email domains) pass when the voter matches any entry.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const hasEligibilityRules = (eligibility) => {
+  if (!eligibility) return false;
+  return (eligibility.roles && eligibility.roles.length > 0) ||
+    (eligibility.groups && eligibility.groups.length > 0) ||
+    (eligibility.emailDomains && eligibility.emailDomains.length > 0) ||
+    eligibility.minAccountAgeDays > 0 ||
+    !!eligibility.requireEmailVerified;
+};
+
+// Accounts must have been created this long before the poll opened
+const getAccountCutoff = (eligibility, startDate) =>
+  new Date(new Date(startDate).getTime() - eligibility.minAccountAgeDays * DAY_MS);
+
+// Check one user against the rules; the reason is shown to the voter
+const checkEligibility = (eligibility, user, startDate) => {
+  if (!hasEligibilityRules(eligibility)) return { eligible: true };
+
+  const { roles = [], groups = [], emailDomains = [] } = eligibility;
+
+  if (roles.length > 0 && !roles.includes(user.role)) {
+    return { eligible: false, reason: `This poll is limited to: ${roles.join(', ')}` };
+  }
+
+  const userGroups = user.groups || [];
+  if (groups.length > 0 && !groups.some(group => userGroups.includes(group))) {
+    return { eligible: false, reason: `This poll is limited to members of: ${groups.join(', ')}` };
+  }
+
+  const emailDomain = (user.email || '').split('@')[1];
+  if (emailDomains.length > 0 && !emailDomains.includes((emailDomain || '').toLowerCase())) {
+    return { eligible: false, reason: `This poll is limited to email addresses at: ${emailDomains.join(', ')}` };
+  }
+
+  if (eligibility.requireEmailVerified && !user.emailVerified) {
+    return { eligible: false, reason: 'Verify your email address to vote in this poll' };
+  }
+
+  if (eligibility.minAccountAgeDays > 0 && !(user.createdAt <= getAccountCutoff(eligibility, startDate))) {
+    return {
+      eligible: false,
+      reason: `Accounts must be at least ${eligibility.minAccountAgeDays} day(s) old when the poll opens`
+    };
+  }
+
+  return { eligible: true };
+};
+
+// User query matching every eligible, active account (for electorate counts)
+const buildEligibilityFilter = (eligibility, startDate) => {
+  const filter = { isActive: true };
+  if (!hasEligibilityRules(eligibility)) return filter;
+
+  const { roles = [], groups = [], emailDomains = [] } = eligibility;
+
+  if (roles.length > 0) filter.role = { $in: roles };
+  if (groups.length > 0) filter.groups = { $in: groups };
+  if (emailDomains.length > 0) {
+    filter.email = { $regex: new RegExp(`@(${emailDomains.map(escapeRegex).join('|')})$`, 'i') };
+  }
+  if (eligibility.requireEmailVerified) filter.emailVerified = true;
+  if (eligibility.minAccountAgeDays > 0) {
+    filter.createdAt = { $lte: getAccountCutoff(eligibility, startDate) };
+  }
+
+  return filter;
+};
+
+module.exports = {
+  hasEligibilityRules,
+  checkEligibility,
+  buildEligibilityFilter
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+// Guest voters are recognised by a random id signed with a server secret. Browsers
+// keep it in a cookie; apps and embeds can send it back in the X-Guest-Token header.
+const GUEST_COOKIE = 'pollhub_guest';
+const GUEST_HEADER = 'x-guest-token';
+const GUEST_TOKEN_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+const getSecret = () => process.env.GUEST_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const sign = (guestId) => crypto.createHmac('sha256', getSecret()).update(guestId).digest('hex');
+
+// Create a new guest id and its signed token
+const issueGuestToken = () => {
+  const guestId = crypto.randomBytes(16).toString('hex');
+  return { guestId, token: `${guestId}.${sign(guestId)}` };
+};
+
+// Return the guest id carried by a token, or null when it is missing or tampered with
+const verifyGuestToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [guestId, signature] = token.split('.');
+  if (!guestId || !signature || !/^[a-f0-9]{32}$/.test(guestId)) return null;
+
+  const expected = Buffer.from(sign(guestId));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return guestId;
+};
+
+// Read the raw guest token from the request header or cookie
+const readGuestToken = (req) => {
+  if (req.headers[GUEST_HEADER]) return req.headers[GUEST_HEADER];
+
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name !== GUEST_COOKIE) continue;
+
+    // A malformed cookie counts as no token
+    try {
+      return decodeURIComponent(value.join('='));
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+};
+
+// Guest id for the request, or null when it carries no valid token
+const getGuestId = (req) => verifyGuestToken(readGuestToken(req));
+
+// Store the token in a long-lived cookie (cross-site in production for embedded polls)
+const setGuestCookie = (res, token) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  res.cookie(GUEST_COOKIE, token, {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? 'none' : 'lax',
+    maxAge: GUEST_TOKEN_MAX_AGE
+  });
+};
+
+module.exports = {
+  issueGuestToken,
+  verifyGuestToken,
+  getGuestId,
+  setGuestCookie
+};
@@ -0,0 +1,152 @@
+const Poll = require('../models/Poll');
+const Vote = require('../models/Vote');
+const AuditLog = require('../models/AuditLog');
+const VoterWeight = require('../models/VoterWeight');
+const { runAtomically } = require('./transactions');
+const { emitRunoffCreated } = require('./websocket');
+
+// Poll types a runoff can be held for (the ones with a formal outcome)
+const RUNOFF_TYPES = ['single', 'approval', 'ranked'];
+
+const runoffError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// The topN leading options of a poll's results. Ranked polls use the last
+// runoff round that still had topN options standing. Options level with the
+// last place in the cut all go through rather than being dropped arbitrarily.
+const getTopOptions = (poll, results, topN) => {
+  let standings;
+  if (poll.pollType === 'ranked') {
+    const { rounds } = results.runoff;
+    const round = [...rounds].reverse().find(candidate => candidate.tallies.length >= topN) || rounds[0];
+    standings = round.tallies.map(({ optionIndex, votes }) => ({ optionIndex, votes }));
+  } else {
+    standings = results.results.map((result, optionIndex) => ({ optionIndex, votes: result.votes }));
+  }
+
+  standings.sort((a, b) => (b.votes - a.votes) || (a.optionIndex - b.optionIndex));
+  if (standings.length <= topN) return standings.map(standing => standing.optionIndex);
+
+  const cutoff = standings[topN - 1].votes;
+  return standings
+    .filter((standing, index) => index < topN || standing.votes === cutoff)
+    .map(standing => standing.optionIndex);
+};
+
+// Save a runoff between optionIndexes and link it from the poll. Runs inside a
+// runAtomically unit; a poll only ever gets one runoff. Invite-only polls never
+// get one: their ballot tokens cannot be carried over to a new poll.
+const saveRunoff = async (poll, optionIndexes, session, onRollback) => {
+  if (poll.inviteOnly) {
+    throw runoffError('Runoff polls are not available on invite-only polls', 400);
+  }
+
+  const runoff = poll.buildRunoff(optionIndexes);
+  await runoff.save({ session });
+  onRollback(() => Poll.deleteOne({ _id: runoff._id }));
+
+  const linked = await Poll.findOneAndUpdate(
+    { _id: poll._id, runoffPoll: null },
+    { $set: { runoffPoll: runoff._id } },
+    { new: true, session }
+  );
+  if (!linked) {
+    throw runoffError('A runoff poll already exists for this poll', 409);
+  }
+  onRollback(() => Poll.updateOne({ _id: poll._id }, { $unset: { runoffPoll: '' } }));
+
+  // Voters carry the same weight into the runoff
+  if (runoff.weighting.mode === 'table') {
+    const rows = await VoterWeight.find({ pollId: poll._id }).session(session).lean();
+    if (rows.length > 0) {
+      await VoterWeight.insertMany(
+        rows.map(({ userId, email, weight, label }) => ({ pollId: runoff._id, userId, email, weight, label })),
+        { session }
+      );
+      onRollback(() => VoterWeight.deleteMany({ pollId: runoff._id }));
+    }
+  }
+
+  return runoff;
+};
+
+// Tell the original poll's audience and its signed-in voters about the runoff
+const notifyRunoff = async (poll, runoff) => {
+  const voterIds = await Vote.distinct('userId', { pollId: poll._id, userId: { $exists: true, $ne: null } });
+
+  emitRunoffCreated(poll._id.toString(), {
+    id: runoff._id,
+    title: runoff.title,
+    description: runoff.description,
+    status: runoff.status,
+    endDate: runoff.endDate,
+    totalOptions: runoff.options.length,
+    runoffOf: poll._id
+  }, voterIds.map(userId => userId.toString()));
+};
+
+// Create a runoff between the poll's topN options, recording who asked and why
+const startRunoff = async (poll, { actor, topN = poll.decision.runoff.topN, reason = 'manual' } = {}) => {
+  if (!RUNOFF_TYPES.includes(poll.pollType)) {
+    throw runoffError('Runoffs are only available for single choice, approval and ranked polls', 400);
+  }
+  if (!poll.hasEnded && poll.status !== 'completed') {
+    throw runoffError('Poll has not ended yet', 400);
+  }
+  if (poll.runoffPoll) {
+    throw runoffError('A runoff poll already exists for this poll', 409);
+  }
+  if (poll.inviteOnly) {
+    throw runoffError('Runoff polls are not available on invite-only polls', 400);
+  }
+  if (poll.totalVotes === 0) {
+    throw runoffError('Poll has no votes to hold a runoff on', 400);
+  }
+
+  const results = await poll.getResults({ revealAnswers: true });
+  const optionIndexes = getTopOptions(poll, results, topN);
+  if (optionIndexes.length < 2) {
+    throw runoffError('A runoff needs at least two options', 400);
+  }
+
+  const runoff = await runAtomically(async (session, onRollback) => {
+    const created = await saveRunoff(poll, optionIndexes, session, onRollback);
+
+    await AuditLog.record(poll._id, 'runoff_created', {
+      actor,
+      details: {
+        reason,
+        runoffPollId: created._id,
+        options: optionIndexes,
+        leadingShare: results.outcome ? results.outcome.leadingShare : null
+      }
+    }, { session });
+
+    return created;
+  });
+
+  await notifyRunoff(poll, runoff);
+  return runoff;
+};
+
+// Start a runoff for a just-closed poll whose leader did not clear the
+// configured majority. Resolves to null when no runoff is due.
+const startAutomaticRunoff = async (poll) => {
+  const { auto, threshold } = poll.decision.runoff;
+  if (!auto || poll.runoffPoll || !RUNOFF_TYPES.includes(poll.pollType) || poll.totalVotes === 0) {
+    return null;
+  }
+
+  const { outcome } = await poll.getResults({ revealAnswers: true });
+  if (!outcome || outcome.status === 'no_quorum' || Number(outcome.leadingShare) > threshold) {
+    return null;
+  }
+
+  return startRunoff(poll, { reason: 'majority_not_reached' });
+};
+
+module.exports = {
+  saveRunoff,
+  notifyRunoff,
+  startRunoff,
+  startAutomaticRunoff
+};
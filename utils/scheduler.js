@@ -0,0 +1,145 @@
+const Poll = require('../models/Poll');
+const { emitPollStatusChange } = require('./websocket');
+const { settleTie } = require('./tieBreak');
+const { startAutomaticRunoff } = require('./runoff');
+
+// Longest wait between checks, even when nothing is due sooner
+const MAX_INTERVAL = parseInt(process.env.POLL_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+
+// Status changes driven by the clock. The state in the database is the only
+// schedule, so a restart simply picks up whatever became due while it was down.
+const TRANSITIONS = [
+  {
+    from: 'draft',
+    to: 'active',
+    dateField: 'startDate',
+    due: now => ({ startDate: { $lte: now }, endDate: { $gt: now } })
+  },
+  {
+    from: 'active',
+    to: 'completed',
+    dateField: 'endDate',
+    due: now => ({ endDate: { $lte: now } })
+  },
+  // Drafts whose whole window passed while the server was down close straight away
+  {
+    from: 'draft',
+    to: 'completed',
+    dateField: 'endDate',
+    due: now => ({ endDate: { $lte: now } })
+  }
+];
+
+let timer = null;
+let running = false;
+
+// Settle the outcome of every closed poll still marked as pending: start its
+// automatic runoff, or else settle a tie no one has to decide. Both steps check
+// what is already recorded, so a poll left pending by a crash or a failed write
+// is simply retried on the next pass. Rule errors (statusCode) would fail the
+// same way every time, so those polls are not retried.
+const settleOutcomes = async () => {
+  const pending = await Poll.find({ status: 'completed', outcomePending: true });
+
+  for (const poll of pending) {
+    try {
+      if (!poll.runoffPoll && !(await startAutomaticRunoff(poll))) {
+        await settleTie(poll);
+      }
+    } catch (error) {
+      console.error(`Poll outcome error for poll ${poll._id}:`, error);
+      if (!error.statusCode) continue;
+    }
+
+    await Poll.updateOne({ _id: poll._id }, { $set: { outcomePending: false } });
+  }
+};
+
+// Move every due poll to its next status. Each move is a conditional update on
+// the current status, so with several server instances only one of them wins
+// a transition and emits it. Closing a poll marks its outcome as pending in the
+// same write; the outcomes are settled once every due poll has moved.
+const runTransitions = async (now = new Date()) => {
+  const changed = [];
+
+  for (const transition of TRANSITIONS) {
+    const candidates = await Poll.find({ status: transition.from, ...transition.due(now) })
+      .select('_id')
+      .lean();
+
+    for (const { _id } of candidates) {
+      const poll = await Poll.findOneAndUpdate(
+        { _id, status: transition.from, ...transition.due(now) },
+        { $set: { status: transition.to, ...(transition.to === 'completed' && { outcomePending: true }) } },
+        { new: true }
+      );
+      if (!poll) continue;
+
+      emitPollStatusChange(poll._id, poll.status, {
+        title: poll.title,
+        totalVotes: poll.totalVotes
+      });
+      changed.push({ pollId: poll._id, from: transition.from, to: transition.to });
+    }
+  }
+
+  await settleOutcomes();
+  return changed;
+};
+
+// Earliest future moment a transition becomes due
+const getNextDueDate = async (now = new Date()) => {
+  const dates = await Promise.all(TRANSITIONS.map(async transition => {
+    const poll = await Poll.findOne({ status: transition.from, [transition.dateField]: { $gt: now } })
+      .sort({ [transition.dateField]: 1 })
+      .select(transition.dateField)
+      .lean();
+    return poll ? poll[transition.dateField] : null;
+  }));
+
+  return dates.filter(Boolean).sort((a, b) => a - b)[0] || null;
+};
+
+const scheduleNext = (delay) => {
+  timer = setTimeout(tick, Math.max(0, Math.min(delay, MAX_INTERVAL)));
+  // Never keep the process alive just for the scheduler
+  timer.unref();
+};
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  let delay = MAX_INTERVAL;
+  try {
+    await runTransitions();
+
+    const nextDue = await getNextDueDate();
+    if (nextDue) {
+      delay = nextDue.getTime() - Date.now();
+    }
+  } catch (error) {
+    console.error('Poll scheduler error:', error);
+  } finally {
+    running = false;
+    if (timer) scheduleNext(delay);
+  }
+};
+
+// Start checking for due transitions (runs one catch-up pass immediately)
+const startScheduler = () => {
+  if (timer) return;
+  timer = setTimeout(tick, 0);
+  timer.unref();
+};
+
+const stopScheduler = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runTransitions
+};
@@ -0,0 +1,177 @@
+// Single Transferable Vote count for multi-seat polls.
+// Ballots are ordered arrays of option indexes (most preferred first); weights,
+// when given, is how many votes each ballot counts as. Options reaching the
+// Droop quota are elected and every ballot counting for them carries on at a
+// fraction of its value (the surplus over the total, Gregory method); when no
+// one reaches the quota the weakest option is excluded and its ballots move on
+// at full value. Each round records the tallies and where transferred votes went.
+
+// Counts are kept exact internally and rounded for the report
+const round = (value) => Number(value.toFixed(4));
+
+// Smallest whole number of votes that only `seats` options can all reach
+const droopQuota = (totalVotes, seats) => Math.floor(totalVotes / (seats + 1)) + 1;
+
+const singleTransferableVote = (options, ballots, weights, seats) => {
+  const optionCount = options.length;
+  const papers = ballots.map((ranking, index) => ({ ranking, value: weights ? weights[index] : 1 }));
+  const totalVotes = papers.reduce((sum, paper) => sum + paper.value, 0);
+  const quota = droopQuota(totalVotes, seats);
+
+  // Without any votes there is nothing to count, and no seat is filled
+  if (totalVotes === 0) {
+    return {
+      method: 'stv',
+      seats,
+      quota,
+      totalVotes: 0,
+      insufficientBallots: true,
+      rounds: [],
+      elected: [],
+      excluded: []
+    };
+  }
+
+  const hopeful = new Set(options.map((option, index) => index));
+  const elected = [];
+  const excluded = [];
+  const firstRoundVotes = new Array(optionCount).fill(0);
+  const rounds = [];
+
+  const describe = optionIndex => ({ optionIndex, text: options[optionIndex].text });
+  const currentChoice = paper => paper.ranking.find(optionIndex => hopeful.has(optionIndex));
+
+  // Where a set of papers goes next among the hopeful options
+  const followTransfer = (moved) => {
+    const to = new Array(optionCount).fill(0);
+    let exhausted = 0;
+    moved.forEach(({ paper, value }) => {
+      const next = currentChoice(paper);
+      if (next === undefined) {
+        exhausted += value;
+      } else {
+        to[next] += value;
+      }
+    });
+    return {
+      to: to
+        .map((votes, optionIndex) => ({ ...describe(optionIndex), votes: round(votes) }))
+        .filter(entry => entry.votes > 0),
+      exhausted: round(exhausted)
+    };
+  };
+
+  while (elected.length < seats && hopeful.size > 0) {
+    const counts = new Array(optionCount).fill(0);
+    const holders = options.map(() => []);
+    let exhausted = 0;
+
+    papers.forEach(paper => {
+      const choice = currentChoice(paper);
+      if (choice === undefined) {
+        exhausted += paper.value;
+      } else {
+        counts[choice] += paper.value;
+        holders[choice].push(paper);
+      }
+    });
+
+    if (rounds.length === 0) {
+      counts.forEach((count, index) => { firstRoundVotes[index] = count; });
+    }
+
+    const standings = [...hopeful]
+      .map(optionIndex => ({ ...describe(optionIndex), votes: round(counts[optionIndex]) }))
+      .sort((a, b) => (b.votes - a.votes) || (a.optionIndex - b.optionIndex));
+
+    const currentRound = {
+      round: rounds.length + 1,
+      tallies: standings,
+      exhaustedVotes: round(exhausted),
+      elected: [],
+      excluded: [],
+      transfers: []
+    };
+    rounds.push(currentRound);
+
+    // As many options left as seats to fill: they are all elected
+    if (hopeful.size <= seats - elected.length) {
+      standings.forEach(standing => {
+        elected.push({ ...describe(standing.optionIndex), votes: standing.votes, round: currentRound.round });
+        currentRound.elected.push(describe(standing.optionIndex));
+      });
+      hopeful.clear();
+      break;
+    }
+
+    const reached = standings.filter(standing => counts[standing.optionIndex] >= quota);
+    if (reached.length > 0) {
+      // Elect everyone at the quota, largest first, then pass on their surpluses
+      const moved = [];
+      reached.forEach(standing => {
+        if (elected.length >= seats) return;
+        const { optionIndex } = standing;
+        const votes = counts[optionIndex];
+        const transferValue = (votes - quota) / votes;
+
+        elected.push({ ...describe(optionIndex), votes: standing.votes, round: currentRound.round });
+        currentRound.elected.push(describe(optionIndex));
+        hopeful.delete(optionIndex);
+
+        const transferred = [];
+        holders[optionIndex].forEach(paper => {
+          paper.value *= transferValue;
+          transferred.push({ paper, value: paper.value });
+        });
+        moved.push({ optionIndex, votes, transferValue, transferred });
+      });
+
+      // Surpluses are followed once every option elected this round is out of the way
+      moved.forEach(({ optionIndex, votes, transferValue, transferred }) => {
+        currentRound.transfers.push({
+          type: 'surplus',
+          from: describe(optionIndex),
+          votes: round(votes - quota),
+          transferValue: round(transferValue),
+          ...followTransfer(transferred)
+        });
+      });
+      continue;
+    }
+
+    // Nobody reached the quota: exclude the weakest option. Ties go to the one
+    // with fewer first-round votes, then to the later option
+    const lowestVotes = Math.min(...standings.map(standing => counts[standing.optionIndex]));
+    const weakest = standings
+      .filter(standing => counts[standing.optionIndex] === lowestVotes)
+      .sort((a, b) => (firstRoundVotes[a.optionIndex] - firstRoundVotes[b.optionIndex]) ||
+        (b.optionIndex - a.optionIndex))[0].optionIndex;
+
+    excluded.push(describe(weakest));
+    currentRound.excluded.push(describe(weakest));
+    hopeful.delete(weakest);
+
+    currentRound.transfers.push({
+      type: 'exclusion',
+      from: describe(weakest),
+      votes: round(lowestVotes),
+      transferValue: 1,
+      ...followTransfer(holders[weakest].map(paper => ({ paper, value: paper.value })))
+    });
+  }
+
+  return {
+    method: 'stv',
+    seats,
+    quota,
+    totalVotes: round(totalVotes),
+    rounds,
+    elected,
+    excluded
+  };
+};
+
+module.exports = {
+  droopQuota,
+  singleTransferableVote
+};
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+
+// Counting algorithms used to turn stored ballots into poll results
+
+// Instant-runoff count over ranked ballots.
+// Each ballot is an ordered array of option indexes (most preferred first);
+// weights, when given, is how many votes each ballot counts as.
+// Returns every elimination round so clients can replay the count.
+const instantRunoff = (options, ballots, weights) => {
+  const optionCount = options.length;
+  const totalWeight = weights ? weights.reduce((sum, weight) => sum + weight, 0) : ballots.length;
+  const active = new Set(options.map((option, index) => index));
+  const firstRoundVotes = new Array(optionCount).fill(0);
+  const rounds = [];
+  let winner = null;
+  let tied = [];
+
+  while (active.size > 0) {
+    const counts = new Array(optionCount).fill(0);
+    let exhausted = 0;
+
+    ballots.forEach((ranking, index) => {
+      const weight = weights ? weights[index] : 1;
+      const choice = ranking.find(optionIndex => active.has(optionIndex));
+      if (choice === undefined) {
+        exhausted += weight;
+      } else {
+        counts[choice] += weight;
+      }
+    });
+
+    if (rounds.length === 0) {
+      counts.forEach((count, index) => { firstRoundVotes[index] = count; });
+    }
+
+    const continuing = totalWeight - exhausted;
+    const standings = [...active].map(optionIndex => ({
+      optionIndex,
+      text: options[optionIndex].text,
+      votes: counts[optionIndex],
+      percentage: continuing > 0 ? ((counts[optionIndex] / continuing) * 100).toFixed(2) : 0
+    })).sort((a, b) => b.votes - a.votes);
+
+    const round = {
+      round: rounds.length + 1,
+      tallies: standings,
+      continuingBallots: continuing,
+      exhaustedBallots: exhausted,
+      eliminated: []
+    };
+    rounds.push(round);
+
+    // No ballots left to count
+    if (continuing === 0) {
+      tied = [...active];
+      break;
+    }
+
+    const leader = standings[0];
+    if (leader.votes * 2 > continuing || active.size === 1) {
+      winner = leader.optionIndex;
+      break;
+    }
+
+    // Every remaining option has the same count - nothing left to eliminate
+    const lowestVotes = standings[standings.length - 1].votes;
+    if (leader.votes === lowestVotes) {
+      tied = standings.map(standing => standing.optionIndex);
+      break;
+    }
+
+    // Eliminate the weakest option; ties go to the one with fewer first-round
+    // votes, then to the later option so the count stays deterministic
+    const eliminated = standings
+      .filter(standing => standing.votes === lowestVotes)
+      .sort((a, b) => (firstRoundVotes[a.optionIndex] - firstRoundVotes[b.optionIndex]) ||
+        (b.optionIndex - a.optionIndex))[0].optionIndex;
+
+    round.eliminated.push(eliminated);
+    active.delete(eliminated);
+  }
+
+  return {
+    method: 'instant-runoff',
+    rounds,
+    winner: winner === null ? null : {
+      optionIndex: winner,
+      text: options[winner].text
+    },
+    tied: tied.map(optionIndex => ({
+      optionIndex,
+      text: options[optionIndex].text
+    })),
+    totalBallots: ballots.length
+  };
+};
+
+// Distribution statistics for a rating option.
+// distribution[i] is the number of ratings equal to scale.min + i.
+const ratingStatistics = (distribution, scale) => {
+  const values = distribution.map((count, index) => ({ value: scale.min + index, count }));
+  const count = values.reduce((sum, bucket) => sum + bucket.count, 0);
+
+  const histogram = values.map(bucket => ({
+    value: bucket.value,
+    count: bucket.count,
+    percentage: count > 0 ? ((bucket.count / count) * 100).toFixed(2) : 0
+  }));
+
+  if (count === 0) {
+    return { count, mean: null, median: null, standardDeviation: null, histogram, nps: null };
+  }
+
+  const mean = values.reduce((sum, bucket) => sum + bucket.value * bucket.count, 0) / count;
+  const variance = values.reduce((sum, bucket) => sum + bucket.count * Math.pow(bucket.value - mean, 2), 0) / count;
+
+  // Value at a zero-based position in the sorted list of ratings
+  const valueAt = position => {
+    let seen = 0;
+    const bucket = values.find(entry => {
+      seen += entry.count;
+      return seen > position;
+    });
+    return bucket.value;
+  };
+  const median = (valueAt(Math.floor((count - 1) / 2)) + valueAt(Math.floor(count / 2))) / 2;
+
+  // Net Promoter Score only makes sense on the standard 0-10 scale
+  let nps = null;
+  if (scale.min === 0 && scale.max === 10) {
+    const promoters = values.filter(bucket => bucket.value >= 9).reduce((sum, bucket) => sum + bucket.count, 0);
+    const detractors = values.filter(bucket => bucket.value <= 6).reduce((sum, bucket) => sum + bucket.count, 0);
+    nps = Math.round(((promoters - detractors) / count) * 100);
+  }
+
+  return {
+    count,
+    mean: Number(mean.toFixed(2)),
+    median,
+    standardDeviation: Number(Math.sqrt(variance).toFixed(2)),
+    histogram,
+    nps
+  };
+};
+
+// Distribution statistics for one option of a points poll. amounts holds the
+// points every ballot gave the option, zero included; the histogram has a bucket
+// for ballots that gave nothing and five equal ranges up to the budget.
+const pointsStatistics = (amounts, budget) => {
+  const count = amounts.length;
+  const width = Math.ceil(budget / 5);
+  const ranges = [{ from: 0, to: 0 }];
+  for (let from = 1; from <= budget; from += width) {
+    ranges.push({ from, to: Math.min(from + width - 1, budget) });
+  }
+
+  const histogram = ranges.map(range => {
+    const inRange = amounts.filter(amount => amount >= range.from && amount <= range.to).length;
+    return {
+      ...range,
+      count: inRange,
+      percentage: count > 0 ? ((inRange / count) * 100).toFixed(2) : 0
+    };
+  });
+
+  if (count === 0) {
+    return { count, mean: null, median: null, min: null, max: null, histogram };
+  }
+
+  const sorted = [...amounts].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, amount) => sum + amount, 0) / count;
+  const median = (sorted[Math.floor((count - 1) / 2)] + sorted[Math.floor(count / 2)]) / 2;
+
+  return {
+    count,
+    mean: Number(mean.toFixed(2)),
+    median,
+    min: sorted[0],
+    max: sorted[count - 1],
+    histogram
+  };
+};
+
+// Common words left out of free-text word counts
+const STOP_WORDS = new Set([
+  'a', 'about', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'but', 'by', 'can', 'do', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'my', 'no', 'not',
+  'of', 'on', 'or', 'our', 'she', 'so', 'some', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'to', 'too', 'us', 'very', 'was', 'we',
+  'were', 'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Most frequent words across a set of free-text responses.
+// Each word counts once per response so one long answer cannot dominate.
+const wordFrequencies = (texts, limit = 20) => {
+  const counts = new Map();
+
+  texts.forEach(text => {
+    const words = new Set((text.toLowerCase().match(/[a-z0-9']+/g) || [])
+      .map(word => word.replace(/^'+|'+$/g, ''))
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word)));
+
+    words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  });
+
+  return [...counts.entries()]
+    .map(([word, count]) => ({ word, count }))
+    .sort((a, b) => (b.count - a.count) || a.word.localeCompare(b.word))
+    .slice(0, limit);
+};
+
+// Share of the votes cast the leading option needs under each decision rule.
+// Shares are fractions so the comparison stays exact in integers; strict means
+// the share must be exceeded rather than just reached.
+const DECISION_THRESHOLDS = {
+  plurality: null,
+  simple_majority: { numerator: 1, denominator: 2, strict: true },
+  two_thirds: { numerator: 2, denominator: 3 },
+  three_quarters: { numerator: 3, denominator: 4 },
+  unanimity: { numerator: 1, denominator: 1 }
+};
+
+const DECISION_RULES = Object.keys(DECISION_THRESHOLDS);
+
+// Formal verdict for a count. tallies are { optionIndex, text, votes } and
+// votesCast is what the shares are taken of (ballots, or continuing ballots
+// in a runoff's final round). A tie for first place never passes.
+const decideOutcome = (rule, tallies, votesCast) => {
+  const threshold = DECISION_THRESHOLDS[rule] || null;
+  const standings = [...tallies].sort((a, b) => b.votes - a.votes);
+  const leader = standings[0];
+
+  const tiedOptions = leader && votesCast > 0
+    ? standings.filter(standing => standing.votes === leader.votes)
+    : [];
+  const tie = tiedOptions.length > 1;
+
+  const leaderVotes = leader ? leader.votes : 0;
+  const meetsThreshold = !threshold || (threshold.strict
+    ? leaderVotes * threshold.denominator > votesCast * threshold.numerator
+    : leaderVotes * threshold.denominator >= votesCast * threshold.numerator);
+  const passed = votesCast > 0 && !tie && meetsThreshold;
+
+  return {
+    rule,
+    status: passed ? 'passed' : 'failed',
+    winner: passed ? { optionIndex: leader.optionIndex, text: leader.text } : null,
+    tie,
+    tiedOptions: tie ? tiedOptions.map(({ optionIndex, text, votes }) => ({ optionIndex, text, votes })) : [],
+    thresholdMet: votesCast > 0 && meetsThreshold,
+    votesCast,
+    leadingShare: votesCast > 0 ? ((leaderVotes / votesCast) * 100).toFixed(2) : 0,
+    requiredShare: threshold ? ((threshold.numerator / threshold.denominator) * 100).toFixed(2) : null
+  };
+};
+
+// How a tie for first place is settled once a poll ends
+const TIE_BREAK_STRATEGIES = ['none', 'earliest_vote', 'random', 'runoff', 'creator'];
+
+// Option that first reached target votes. ballots are { choices, weight }:
+// the options each ballot counted toward and how many votes it carried, in
+// the order the ballots were cast.
+const earliestToReach = (ballots, target) => {
+  const counts = new Map();
+  for (const { choices, weight } of ballots) {
+    for (const optionIndex of choices) {
+      const count = (counts.get(optionIndex) || 0) + weight;
+      counts.set(optionIndex, count);
+      if (count >= target) return optionIndex;
+    }
+  }
+  return null;
+};
+
+// Draw one candidate by lot. The draw depends only on the seed and the
+// candidates, so anyone holding the recorded seed can repeat it.
+const drawLot = (seed, candidates) => {
+  const digest = crypto.createHash('sha256').update(`${seed}:${candidates.join(',')}`).digest();
+  return candidates[digest.readUInt32BE(0) % candidates.length];
+};
+
+module.exports = {
+  DECISION_RULES,
+  TIE_BREAK_STRATEGIES,
+  instantRunoff,
+  ratingStatistics,
+  pointsStatistics,
+  wordFrequencies,
+  decideOutcome,
+  earliestToReach,
+  drawLot
+};
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const Poll = require('../models/Poll');
+const AuditLog = require('../models/AuditLog');
+const { runAtomically } = require('./transactions');
+const { earliestToReach, drawLot } = require('./tally');
+const { saveRunoff, notifyRunoff } = require('./runoff');
+const { emitPollUpdate } = require('./websocket');
+
+// Strategies the server applies on its own as soon as a tied poll closes;
+// 'creator' waits for the poll creator (or an admin) to pick the winner
+const AUTOMATIC_STRATEGIES = ['earliest_vote', 'random', 'runoff'];
+
+const tieBreakError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Outcome of an ended poll when its top options are tied, otherwise null
+const getTiedOutcome = async (poll) => {
+  const { outcome } = await poll.getResults({ revealAnswers: true });
+  return outcome && outcome.tie && outcome.status !== 'no_quorum' ? outcome : null;
+};
+
+// Apply the poll's strategy to a tied outcome, then record the resolution on
+// the poll and in its audit trail in one atomic step
+const applyTieBreak = async (poll, outcome, { actor, optionIndex } = {}) => {
+  const { strategy } = poll.tieBreak;
+  const tiedOptions = outcome.tiedOptions.map(option => option.optionIndex);
+  const resolution = { strategy, tiedOptions, decidedBy: actor, decidedAt: new Date() };
+
+  switch (strategy) {
+    case 'earliest_vote':
+      // Every tied option ends on the same count; the first to get there wins
+      resolution.optionIndex = earliestToReach(
+        await poll.getBallotChoices(tiedOptions),
+        outcome.tiedOptions[0].votes
+      );
+      break;
+    case 'random':
+      resolution.seed = crypto.randomBytes(16).toString('hex');
+      resolution.optionIndex = drawLot(resolution.seed, tiedOptions);
+      break;
+    case 'runoff':
+      // Saved with the resolution below
+      break;
+    case 'creator':
+      if (!tiedOptions.includes(optionIndex)) {
+        throw tieBreakError('Choose one of the tied options', 400);
+      }
+      resolution.optionIndex = optionIndex;
+      break;
+    default:
+      throw tieBreakError('Poll has no tie-break strategy', 400);
+  }
+
+  let runoff = null;
+  const updatedPoll = await runAtomically(async (session, onRollback) => {
+    if (strategy === 'runoff') {
+      runoff = await saveRunoff(poll, tiedOptions, session, onRollback);
+      resolution.runoffPollId = runoff._id;
+    }
+
+    // Only the first resolution sticks, however many requests or servers race here
+    const claimed = await Poll.findOneAndUpdate(
+      { _id: poll._id, 'tieBreak.resolution': null },
+      { $set: { 'tieBreak.resolution': resolution } },
+      { new: true, session }
+    );
+    if (!claimed) {
+      throw tieBreakError('The tie has already been broken', 409);
+    }
+
+    await AuditLog.record(poll._id, 'tie_break', {
+      actor,
+      details: {
+        strategy,
+        tiedOptions: outcome.tiedOptions,
+        optionIndex: resolution.optionIndex,
+        seed: resolution.seed,
+        runoffPollId: resolution.runoffPollId
+      }
+    }, { session });
+
+    return claimed;
+  });
+
+  emitPollUpdate(updatedPoll._id.toString(), {
+    title: updatedPoll.title,
+    tieBreak: updatedPoll.describeTieBreak()
+  });
+
+  if (runoff) {
+    await notifyRunoff(poll, runoff);
+  }
+
+  return { poll: updatedPoll, runoff };
+};
+
+// Break the tie in an ended poll on request (the only way for 'creator' polls)
+const breakTie = async (poll, { actor, optionIndex } = {}) => {
+  if (!poll.hasEnded && poll.status !== 'completed') {
+    throw tieBreakError('Poll has not ended yet', 400);
+  }
+  if (poll.tieBreak.strategy === 'none') {
+    throw tieBreakError('Poll has no tie-break strategy', 400);
+  }
+  if (poll.tieBreak.resolution) {
+    throw tieBreakError('The tie has already been broken', 409);
+  }
+
+  const outcome = await getTiedOutcome(poll);
+  if (!outcome) {
+    throw tieBreakError('Poll results are not tied', 400);
+  }
+
+  return applyTieBreak(poll, outcome, { actor, optionIndex });
+};
+
+// Settle a just-closed poll's tie when its strategy needs no one's input.
+// Resolves to null when there is nothing to settle.
+const settleTie = async (poll) => {
+  if (!AUTOMATIC_STRATEGIES.includes(poll.tieBreak.strategy) || poll.tieBreak.resolution) {
+    return null;
+  }
+
+  const outcome = await getTiedOutcome(poll);
+  return outcome ? applyTieBreak(poll, outcome) : null;
+};
+
+module.exports = {
+  breakTie,
+  settleTie
+};
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Standalone MongoDB servers reject transactions; remember once we have seen that
+let transactionsSupported = true;
+
+const isTransactionUnsupported = (error) =>
+  error && (error.code === 20 || error.codeName === 'IllegalOperation') &&
+  /Transaction numbers are only allowed/i.test(error.message);
+
+// Run a unit of work so that its writes either all succeed or all fail.
+// work(session, onRollback) gets a session to pass to every write. Inside a
+// transaction onRollback is a no-op; on servers without transactions the work
+// runs without a session and the registered compensations run in reverse
+// order when it throws.
+const runAtomically = async (work) => {
+  if (transactionsSupported) {
+    try {
+      // connection.transaction resets document state between retries
+      let result;
+      await mongoose.connection.transaction(async (session) => {
+        result = await work(session, () => {});
+      });
+      return result;
+    } catch (error) {
+      if (!isTransactionUnsupported(error)) throw error;
+      transactionsSupported = false;
+      console.warn('MongoDB transactions unavailable, falling back to compensating writes');
+    }
+  }
+
+  const compensations = [];
+  try {
+    return await work(null, compensation => compensations.push(compensation));
+  } catch (error) {
+    for (const compensation of compensations.reverse()) {
+      try {
+        await compensation();
+      } catch (rollbackError) {
+        console.error('Rollback error:', rollbackError);
+      }
+    }
+    throw error;
+  }
+};
+
+// Duplicate key errors from a unique index
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+module.exports = {
+  runAtomically,
+  isDuplicateKeyError
+};
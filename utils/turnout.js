@@ -0,0 +1,218 @@
+const User = require('../models/User');
+const Vote = require('../models/Vote');
+const Invitation = require('../models/Invitation');
+const { buildEligibilityFilter } = require('./eligibility');
+
+// Turnout is the share of a poll's electorate that cast at least one ballot.
+// Account electorates ('all', 'group') are user queries; an 'invited' electorate
+// is the poll's invitation roll, where a member has voted once their token was
+// used or the account it names voted while signed in.
+
+const TIMELINE_FORMATS = {
+  hour: date => `${date.toISOString().slice(0, 13).replace('T', ' ')}:00`,
+  day: date => date.toISOString().slice(0, 10)
+};
+
+const toPercent = (count, total) => (total > 0 ? (count / total * 100).toFixed(2) : 0);
+
+// User query for an account electorate, on top of the poll's eligibility rules
+const buildElectorateFilter = (poll) => {
+  const filter = buildEligibilityFilter(poll.eligibility, poll.startDate);
+  if (poll.electorate.scope === 'group') {
+    // Eligibility rules may already filter on groups, so both must match
+    filter.$and = [{ groups: { $in: poll.electorate.groups } }];
+  }
+  return filter;
+};
+
+// When each signed-in voter cast their first ballot
+const getFirstBallots = async (pollId) => {
+  const firstBallots = await Vote.aggregate([
+    { $match: { pollId, userId: { $exists: true, $ne: null } } },
+    { $group: { _id: '$userId', votedAt: { $min: '$createdAt' } } }
+  ]);
+  return new Map(firstBallots.map(({ _id, votedAt }) => [_id.toString(), votedAt]));
+};
+
+// Invitation roll with the time each invitee first voted (null when they have not)
+const loadInvitedRoll = async (poll) => {
+  const [invitations, firstBallots] = await Promise.all([
+    Invitation.find({ pollId: poll._id, status: { $ne: 'revoked' } })
+      .populate('userId', 'name email')
+      .sort({ createdAt: 1 })
+      .lean(),
+    getFirstBallots(poll._id)
+  ]);
+
+  // Invitations by email are matched to whichever account owns that address
+  const voters = await User.find({ _id: { $in: [...firstBallots.keys()] } }).select('email').lean();
+  const votedByEmail = new Map(voters.map(voter => [voter.email, firstBallots.get(voter._id.toString())]));
+
+  return invitations.map(invitation => {
+    const user = invitation.userId;
+    const votedAt = (invitation.status === 'used' && invitation.usedAt) ||
+      (user && firstBallots.get(user._id.toString())) ||
+      (invitation.email && votedByEmail.get(invitation.email)) ||
+      null;
+
+    return {
+      id: user ? user._id : null,
+      invitationId: invitation._id,
+      name: user ? user.name : null,
+      email: invitation.email || (user && user.email),
+      votedAt
+    };
+  });
+};
+
+// Electorate size and the first-ballot time of every member who voted
+const getParticipation = async (poll) => {
+  if (poll.electorate.scope === 'invited') {
+    const roll = await loadInvitedRoll(poll);
+    return {
+      eligibleVoters: roll.length,
+      votedAt: roll.filter(member => member.votedAt).map(member => member.votedAt)
+    };
+  }
+
+  const filter = buildElectorateFilter(poll);
+  const firstBallots = await getFirstBallots(poll._id);
+  const [eligibleVoters, members] = await Promise.all([
+    User.countDocuments(filter),
+    User.find({ ...filter, _id: { $in: [...firstBallots.keys()] } }).select('_id').lean()
+  ]);
+
+  return {
+    eligibleVoters,
+    votedAt: members.map(member => firstBallots.get(member._id.toString()))
+  };
+};
+
+// Turnout now and, bucket by bucket, how it grew over time
+const getTurnout = async (poll, { interval = 'day' } = {}) => {
+  const format = TIMELINE_FORMATS[interval] || TIMELINE_FORMATS.day;
+  const { eligibleVoters, votedAt } = await getParticipation(poll);
+
+  const buckets = new Map();
+  votedAt
+    .sort((a, b) => a - b)
+    .forEach(date => {
+      const bucket = format(new Date(date));
+      buckets.set(bucket, (buckets.get(bucket) || 0) + 1);
+    });
+
+  let cumulative = 0;
+  const timeline = [...buckets].map(([period, newVoters]) => {
+    cumulative += newVoters;
+    return {
+      period,
+      newVoters,
+      voted: cumulative,
+      turnout: toPercent(cumulative, eligibleVoters)
+    };
+  });
+
+  return {
+    scope: poll.electorate.scope,
+    eligibleVoters,
+    voted: votedAt.length,
+    notVoted: eligibleVoters - votedAt.length,
+    turnout: toPercent(votedAt.length, eligibleVoters),
+    timeline
+  };
+};
+
+// Page through the electorate members who have not voted yet
+const getNonVoters = async (poll, { page = 1, limit = 50 } = {}) => {
+  const skip = (page - 1) * limit;
+
+  if (poll.electorate.scope === 'invited') {
+    const nonVoters = (await loadInvitedRoll(poll)).filter(member => !member.votedAt);
+    return {
+      total: nonVoters.length,
+      voters: nonVoters.slice(skip, skip + limit).map(({ votedAt, ...member }) => member)
+    };
+  }
+
+  // Members are joined to their ballots in the database, only those with none are kept
+  const [result] = await User.aggregate([
+    { $match: buildElectorateFilter(poll) },
+    {
+      $lookup: {
+        from: Vote.collection.name,
+        let: { userId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$pollId', poll._id] }, { $eq: ['$userId', '$$userId'] }] } } },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'ballots'
+      }
+    },
+    { $match: { ballots: { $size: 0 } } },
+    {
+      $facet: {
+        users: [
+          { $sort: { name: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { name: 1, email: 1, groups: 1 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+  const { users } = result;
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  return {
+    total,
+    voters: users.map(user => ({
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      groups: user.groups
+    }))
+  };
+};
+
+// Election turnout: members of the shared electorate who voted in at least one
+// race, with each race's own turnout beside it
+const getElectionTurnout = async (election, races) => {
+  const filter = buildElectorateFilter(election);
+  const voterIds = await Vote.distinct('userId', {
+    pollId: { $in: races.map(race => race._id) },
+    userId: { $exists: true, $ne: null }
+  });
+
+  const [eligibleVoters, voted, raceTurnout] = await Promise.all([
+    User.countDocuments(filter),
+    User.countDocuments({ ...filter, _id: { $in: voterIds } }),
+    Promise.all(races.map(async race => {
+      const { eligibleVoters: raceEligible, voted: raceVoted, turnout } = await getTurnout(race);
+      return {
+        pollId: race._id,
+        title: race.title,
+        eligibleVoters: raceEligible,
+        voted: raceVoted,
+        turnout
+      };
+    }))
+  ]);
+
+  return {
+    scope: election.electorate.scope,
+    eligibleVoters,
+    voted,
+    notVoted: eligibleVoters - voted,
+    turnout: toPercent(voted, eligibleVoters),
+    races: raceTurnout
+  };
+};
+
+module.exports = {
+  buildElectorateFilter,
+  getTurnout,
+  getElectionTurnout,
+  getNonVoters
+};
@@ -203,6 +203,23 @@ const emitPollDeleted = (pollId, pollData) => {
   }
 };
 
+const emitRunoffCreated = (pollId, runoffData, voterIds = []) => {
+  if (io) {
+    // Notify subscribers of the original poll and everyone who voted in it
+    io.to([`poll_${pollId}`, ...voterIds.map(userId => `user_${userId}`)]).emit('runoff_created', {
+      pollId,
+      ...runoffData,
+      timestamp: new Date()
+    });
+
+    // Runoffs are new polls for everyone else
+    io.to('voter').emit('new_poll', {
+      ...runoffData,
+      timestamp: new Date()
+    });
+  }
+};
+
 module.exports = {
   initializeWebSocket,
   emitPollUpdate,
@@ -212,5 +229,6 @@ module.exports = {
   emitDashboardStats,
   emitUserActivity,
   emitPollDeleted,
+  emitRunoffCreated,
   getIO: () => io
 };
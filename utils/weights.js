@@ -0,0 +1,50 @@
+const VoterWeight = require('../models/VoterWeight');
+
+// Weighted polls give each ballot a weight fixed when it is cast:
+// - 'user': the voter account's voteWeight (share count, membership tier...)
+// - 'table': the poll's imported weight table, matched by account then email,
+//   falling back to the poll's default weight
+
+// Weights for several users at once, keyed by user id
+const getVoterWeights = async (poll, users) => {
+  const weights = new Map();
+  const { mode, defaultWeight } = poll.weighting;
+
+  if (mode === 'user') {
+    users.forEach(user => {
+      weights.set(user._id.toString(), user.voteWeight === undefined ? 1 : user.voteWeight);
+    });
+    return weights;
+  }
+
+  if (mode === 'table') {
+    const rows = await VoterWeight.find({
+      pollId: poll._id,
+      $or: [
+        { userId: { $in: users.map(user => user._id) } },
+        { email: { $in: users.map(user => user.email).filter(Boolean) } }
+      ]
+    }).lean();
+
+    const byUser = new Map(rows.filter(row => row.userId).map(row => [row.userId.toString(), row.weight]));
+    const byEmail = new Map(rows.filter(row => row.email).map(row => [row.email, row.weight]));
+
+    users.forEach(user => {
+      const id = user._id.toString();
+      const weight = byUser.has(id) ? byUser.get(id) : byEmail.get(user.email);
+      weights.set(id, weight === undefined ? defaultWeight : weight);
+    });
+    return weights;
+  }
+
+  users.forEach(user => weights.set(user._id.toString(), 1));
+  return weights;
+};
+
+// Weight of one signed-in voter's ballots
+const getVoterWeight = async (poll, user) => (await getVoterWeights(poll, [user])).get(user._id.toString());
+
+module.exports = {
+  getVoterWeights,
+  getVoterWeight
+};